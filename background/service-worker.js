@@ -7,30 +7,53 @@
 
 import {
   saveVideo,
-  updateVideo,
+  updateSessionProgress,
+  saveAbandonedSession,
+  purgeExpiredSamples,
+  saveAiCategories,
+  getCategories,
   getSettings,
   getHistory,
   getStats,
   getCachedReport,
   saveReport,
-  clearAll,
-  replaceHistory
+  moveAllToTrash,
+  purgeExpiredTrash,
+  runRetention,
+  syncSettings,
+  pushHistoryDigest,
+  mergeRemoteDigests,
+  runSchemaMigrations,
+  getVideosInRange,
+  getProfiles,
+  applyAutoProfile,
+  getChannelRegistry,
+  SYNCED_PLACEHOLDER_TITLE
 } from '../utils/storage.js';
 import {
   categorizeVideoAi,
   generateWeeklyReportAi,
   testOpenRouterKey
 } from '../utils/ai.js';
+import { SYNC_KEYS } from '../utils/sync.js';
+import { UNCATEGORIZED } from '../utils/categories.js';
 import {
   delay,
   formatDay,
   formatHour,
   calculateTopChannels,
-  calculateCategoryBreakdown
+  calculateCategoryBreakdown,
+  groupBy,
+  expandSessions,
+  getSessionTimes,
+  getContentType,
+  CONTENT_TYPES
 } from '../utils/helpers.js';
 
 const MESSAGE_TYPES = {
   VIDEO_WATCHED: 'VIDEO_WATCHED',
+  VIDEO_PROGRESS: 'VIDEO_PROGRESS',
+  VIDEO_ABANDONED: 'VIDEO_ABANDONED',
   GET_SETTINGS: 'GET_SETTINGS',
   GENERATE_WEEKLY_REPORT: 'GENERATE_WEEKLY_REPORT',
   GET_REPORT_CACHE: 'GET_REPORT_CACHE',
@@ -41,13 +64,81 @@ const MESSAGE_TYPES = {
 
 const AI_RATE_LIMIT_MS = 1000;
 const RECENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const MAINTENANCE_ALARM = 'daily-maintenance';
+const MAINTENANCE_PERIOD_MINUTES = 24 * 60;
 
 // PATTERN: Rate limiting — queue sequential AI jobs to respect free tier caps.
 const aiQueue = [];
 let queueProcessing = false;
 
+// WHY: upgrade stored data to the current schema as soon as a new version lands.
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+  runSchemaMigrations(reason).catch((error) => {
+    console.error('schema migrations failed', error);
+  });
+  scheduleMaintenance();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleMaintenance();
+  syncSettings().catch(() => {});
+});
+
+// WHY: another device wrote to chrome.storage.sync; pull its settings and digest right away.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+  const keys = Object.keys(changes);
+  if (keys.includes(SYNC_KEYS.SETTINGS)) {
+    syncSettings().catch(() => {});
+  }
+  if (keys.some((key) => key.startsWith(SYNC_KEYS.DIGEST_PREFIX))) {
+    mergeRemoteDigests().catch(() => {});
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === MAINTENANCE_ALARM) {
+    runDailyMaintenance();
+  }
+});
+
+// WHY: alarms survive restarts, so only create one when it is missing to keep the daily cadence.
+const scheduleMaintenance = async () => {
+  const existing = await chrome.alarms.get(MAINTENANCE_ALARM);
+  if (!existing) {
+    await chrome.alarms.create(MAINTENANCE_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: MAINTENANCE_PERIOD_MINUTES
+    });
+  }
+};
+
+const runDailyMaintenance = async () => {
+  // WHY: retention settings are shared, but every profile keeps its own history and trash.
+  const [{ profiles }, settings] = await Promise.all([getProfiles(), getSettings()]);
+  for (const profile of profiles) {
+    try {
+      const { trimmed, removed, archived } = await runRetention(settings, Date.now(), profile.id);
+      if (trimmed || removed) {
+        console.info(`retention trimmed ${trimmed} and removed ${removed} video(s) in ${profile.name}; archived ${archived} session(s)`);
+      }
+    } catch (error) {
+      console.error('daily retention failed', error);
+    }
+    await purgeExpiredTrash(profile.id);
+    await purgeExpiredSamples(profile.id);
+  }
+  try {
+    await syncSettings();
+    await pushHistoryDigest();
+    await mergeRemoteDigests();
+  } catch (error) {
+    console.error('daily sync failed', error);
+  }
+};
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message)
+  handleMessage(message, sender)
     .then((result) => sendResponse({ success: true, data: result }))
     .catch((error) => {
       console.error('background message failed', error);
@@ -56,11 +147,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // WHY: keeps the channel open for async await responses.
 });
 
-const handleMessage = async (message) => {
+const handleMessage = async (message, sender) => {
   switch (message?.type) {
     case MESSAGE_TYPES.VIDEO_WATCHED:
-      return handleVideoWatched(message.payload);
+      return handleVideoWatched(message.payload, sender);
+    case MESSAGE_TYPES.VIDEO_PROGRESS:
+      return handleVideoProgress(message.payload, sender);
+    case MESSAGE_TYPES.VIDEO_ABANDONED:
+      return handleVideoAbandoned(message.payload, sender);
     case MESSAGE_TYPES.GET_SETTINGS:
+      // WHY: the tracker asks on every new video, which is when schedules and account switches apply.
+      await applyAutoProfile({ account: message.account ?? null });
       return getSettings();
     case MESSAGE_TYPES.GENERATE_WEEKLY_REPORT:
       return handleWeeklyReport();
@@ -71,56 +168,102 @@ const handleMessage = async (message) => {
     case MESSAGE_TYPES.CATEGORIZE_PENDING:
       return enqueuePendingVideos();
     case MESSAGE_TYPES.CLEAR_DATA:
-      await clearAll();
-      await replaceHistory([]);
-      return true;
+      return { trashId: await moveAllToTrash() };
     default:
       throw new Error('Unknown message type');
   }
 };
 
-const handleVideoWatched = async (payload) => {
+const handleVideoWatched = async (payload, sender) => {
   // PATTERN: Message Passing — content script sends sanitized video data only.
   if (!payload?.videoId) {
     throw new Error('Missing video id');
   }
+  const { account, ...video } = payload;
+  const profileId = await applyAutoProfile({ account: account ?? null });
   const settings = await getSettings();
-  if (!settings.trackingEnabled) {
-    return { skipped: true };
-  }
-  if (payload.autoplay && !settings.trackAutoplay) {
+  if (isExcludedBySettings(payload, settings)) {
     return { skipped: true };
   }
-  await saveVideo(payload);
-  await applyRetentionPolicy(settings);
+  await saveVideo({ ...video, sourceTabId: sender?.tab?.id ?? null }, profileId);
   if (settings.aiFeaturesEnabled && settings.openRouterApiKey) {
-    queueCategorizationJob(payload);
+    queueCategorizationJob({ ...video, profileId });
   } else {
-    await updateVideo(payload.videoId, {
-      aiCategory: 'Uncategorized',
-      aiCategoryConfidence: 'low'
-    });
+    // WHY: a rewatch with AI off must not reset a category the user picked.
+    await saveAiCategories([{ videoId: video.videoId, category: UNCATEGORIZED, confidence: 'low' }], profileId);
   }
+  // WHY: the tracker sends this back with the session's updates, so they land
+  // in this profile even if the active one switches mid-session.
+  return { stored: true, profileId };
+};
+
+// WHY: watches and abandoned starts are kept or skipped by the same settings.
+const isExcludedBySettings = (payload, settings) => {
+  if (!settings.trackingEnabled) return true;
+  if (payload.autoplay && !settings.trackAutoplay) return true;
+  const contentType = getContentType(payload);
+  return (contentType === CONTENT_TYPES.SHORT && !settings.trackShorts)
+    || (contentType === CONTENT_TYPES.MUSIC && !settings.trackMusic);
+};
+
+// WHY: a session that ended below the thresholds goes to the sampled store,
+// never the history, so it needs no AI category.
+const handleVideoAbandoned = async (payload, sender) => {
+  if (!payload?.videoId || !payload.sessionId) {
+    throw new Error('Missing video or session id');
+  }
+  const { account, ...video } = payload;
+  await applyAutoProfile({ account: account ?? null });
+  const settings = await getSettings();
+  if (!settings.trackAbandoned || isExcludedBySettings(payload, settings)) {
+    return { skipped: true };
+  }
+  await saveAbandonedSession({ ...video, sourceTabId: sender?.tab?.id ?? null });
   return { stored: true };
 };
 
+// WHY: the tracker sends a final update when a saved session ends; it only
+// refreshes that session's numbers, so it skips the filters and AI queue.
+const handleVideoProgress = async (payload, sender) => {
+  if (!payload?.videoId || !payload.sessionId) {
+    throw new Error('Missing video or session id');
+  }
+  const { account, profileId, ...video } = payload;
+  const target = profileId || await applyAutoProfile({ account: account ?? null });
+  const { profiles } = await getProfiles();
+  // WHY: a profile deleted mid-session must not have its database recreated by a late update.
+  if (!profiles.some((profile) => profile.id === target)) return { stored: false };
+  const updated = await updateSessionProgress({ ...video, sourceTabId: sender?.tab?.id ?? null }, target);
+  return { stored: updated };
+};
+
 const queueCategorizationJob = (video) => {
-  const jobExists = aiQueue.some((job) => job.videoId === video.videoId);
+  const jobExists = aiQueue.some((job) => job.videoId === video.videoId && job.profileId === video.profileId);
   if (!jobExists) {
     aiQueue.push({
       videoId: video.videoId,
+      profileId: video.profileId,
       title: video.title,
-      channelName: video.channelName
+      channelName: video.channelName,
+      description: video.description,
+      keywords: video.keywords || [],
+      youtubeCategory: video.youtubeCategory
     });
   }
   processQueueSafely();
 };
 
+// WHY: digest placeholders and Takeout rows for removed videos (titled with their URL)
+// have nothing to classify; a paid call on them only returns noise.
+const PLACEHOLDER_TITLES = new Set([SYNCED_PLACEHOLDER_TITLE, 'Unknown title']);
+const hasRealTitle = (video) => Boolean(video.title) && !PLACEHOLDER_TITLES.has(video.title) && !/^https?:\/\//.test(video.title);
+
 const enqueuePendingVideos = async () => {
-  const history = await getHistory();
+  const [history, { activeId }] = await Promise.all([getHistory(), getProfiles()]);
   history
-    .filter((video) => !video.aiCategory || video.aiCategory === 'Uncategorized')
-    .forEach(queueCategorizationJob);
+    .filter((video) => !video.categoryLocked && (!video.aiCategory || video.aiCategory === UNCATEGORIZED))
+    .filter(hasRealTitle)
+    .forEach((video) => queueCategorizationJob({ ...video, profileId: activeId }));
   return { queued: aiQueue.length };
 };
 
@@ -130,7 +273,7 @@ const processQueueSafely = async () => {
   while (aiQueue.length) {
     const job = aiQueue.shift();
     try {
-      await processSingleJob(job);
+      await saveAiResult(await processSingleJob(job));
       await delay(AI_RATE_LIMIT_MS);
     } catch (error) {
       console.error('AI job failed', error);
@@ -139,37 +282,35 @@ const processQueueSafely = async () => {
   queueProcessing = false;
 };
 
+// WHY: MV3 can suspend the worker between jobs, so each paid answer is committed
+// as soon as it arrives instead of waiting in memory for a batch.
+const saveAiResult = async (result) => {
+  try {
+    const { missing } = await saveAiCategories([result], result.profileId);
+    if (missing.length) {
+      console.warn('AI result skipped for a deleted video', result.videoId);
+    }
+  } catch (error) {
+    console.error('AI result failed to save', error);
+  }
+};
+
 const processSingleJob = async (job) => {
   const settings = await getSettings();
   if (!settings.aiFeaturesEnabled || !settings.openRouterApiKey) {
-    await updateVideo(job.videoId, {
-      aiCategory: 'Uncategorized',
-      aiCategoryConfidence: 'low'
-    });
-    return;
+    return { videoId: job.videoId, profileId: job.profileId, category: UNCATEGORIZED, confidence: 'low' };
   }
+  const categories = await getCategories();
   const { category, confidence } = await categorizeVideoAi({
     title: job.title,
     channelName: job.channelName,
-    apiKey: settings.openRouterApiKey
+    description: job.description,
+    keywords: job.keywords,
+    youtubeCategory: job.youtubeCategory,
+    apiKey: settings.openRouterApiKey,
+    categories: categories.map((item) => item.name)
   });
-  await updateVideo(job.videoId, {
-    aiCategory: category,
-    aiCategoryConfidence: confidence
-  });
-};
-
-const applyRetentionPolicy = async (settings) => {
-  const retentionDays = settings.dataRetention;
-  if (retentionDays === 'all') return;
-  const daysToKeep = { '3m': 90, '6m': 182, '1y': 365 }[retentionDays];
-  if (!daysToKeep) return;
-  const cutoff = Date.now() - daysToKeep * 24 * 60 * 60 * 1000;
-  const history = await getHistory();
-  const filtered = history.filter((video) => new Date(video.watchedAt).getTime() >= cutoff);
-  if (filtered.length !== history.length) {
-    await replaceHistory(filtered);
-  }
+  return { videoId: job.videoId, profileId: job.profileId, category, confidence };
 };
 
 const handleWeeklyReport = async () => {
@@ -177,12 +318,18 @@ const handleWeeklyReport = async () => {
   if (!settings.aiFeaturesEnabled || !settings.openRouterApiKey) {
     throw new Error('AI disabled or API key missing');
   }
-  const history = await getHistory();
-  const recent = history.filter((video) => Date.now() - new Date(video.watchedAt).getTime() <= RECENT_WINDOW_MS);
+  const history = await getVideosInRange({ start: new Date(Date.now() - RECENT_WINDOW_MS).toISOString() });
+  const recent = expandSessions(history).filter((session) => Date.now() - new Date(session.watchedAt).getTime() <= RECENT_WINDOW_MS);
   if (!recent.length) {
     throw new Error('No watch history in the past 7 days');
   }
-  const summaryPayload = buildWeeklySummary(recent);
+  const ofType = (type) => recent.filter((session) => getContentType(session) === type);
+  // WHY: a live session has no length to complete, so it would drag down the completion average.
+  const videos = ofType(CONTENT_TYPES.VIDEO);
+  const summaryPayload = buildWeeklySummary(videos.filter((row) => !row.session.isLive), await getChannelRegistry())
+    + buildSideSummary('Live streams', videos.filter((row) => row.session.isLive))
+    + buildSideSummary('Shorts', ofType(CONTENT_TYPES.SHORT))
+    + buildSideSummary('Music', ofType(CONTENT_TYPES.MUSIC));
   const reportContent = await generateWeeklyReportAi({
     summaryPayload,
     apiKey: settings.openRouterApiKey
@@ -195,28 +342,41 @@ const handleWeeklyReport = async () => {
   return report;
 };
 
-const buildWeeklySummary = (videos) => {
-  const totalVideos = videos.length;
+// WHY: receives one row per session so a video watched twice this week counts twice.
+const buildWeeklySummary = (videos, channelRegistry) => {
+  const totalSessions = videos.length;
+  const totalVideos = new Set(videos.map((video) => video.videoId)).size;
   const totalWatchSeconds = videos.reduce((sum, video) => sum + (video.watchedDuration || 0), 0);
   const hours = Math.floor(totalWatchSeconds / 3600);
   const minutes = Math.floor((totalWatchSeconds % 3600) / 60);
-  const topChannels = calculateTopChannels(videos).map((entry) => `${entry.channel} (${Math.round(entry.watchTime / 60)} min)`);
-  const categoryBreakdown = Array.from(calculateCategoryBreakdown(videos).entries()).map(([category, data]) => `${category}: ${data.count} videos`);
-  const mostRewatched = [...videos].sort((a, b) => (b.rewatchCount || 0) - (a.rewatchCount || 0))[0];
-  const avgPercent = Math.round(videos.reduce((sum, video) => sum + (video.watchPercent || 0), 0) / totalVideos);
+  const topChannels = calculateTopChannels(videos, 5, channelRegistry).map((entry) => `${entry.channel} (${Math.round(entry.watchTime / 60)} min)`);
+  const categoryBreakdown = Array.from(calculateCategoryBreakdown(videos).entries()).map(([category, data]) => `${category}: ${data.count} sessions`);
+  const sessionCounts = Array.from(groupBy(videos, (video) => video.videoId).values());
+  const mostRewatchedSessions = sessionCounts.sort((a, b) => b.length - a.length)[0] || [];
+  const mostRewatched = mostRewatchedSessions[0];
+  const avgPercent = totalSessions ? Math.round(videos.reduce((sum, video) => sum + (video.watchPercent || 0), 0) / totalSessions) : 0;
   const mostActiveDay = mostFrequentValue(videos.map((video) => formatDay(video.watchedAt)));
   const mostActiveHour = mostFrequentValue(videos.map((video) => formatHour(video.watchedAt)));
 
-  return `Total videos watched: ${totalVideos}\n` +
+  return `Total videos watched: ${totalVideos} (${totalSessions} watch sessions)\n` +
     `Total watch time: ${hours} hours ${minutes} minutes\n` +
     `Top channels: ${topChannels.join(', ') || 'None'}\n` +
     `Category breakdown: ${categoryBreakdown.join(', ') || 'None'}\n` +
-    `Most rewatched video: "${mostRewatched?.title || 'N/A'}" by ${mostRewatched?.channelName || 'Unknown'} (${mostRewatched?.rewatchCount || 1} times)\n` +
+    `Most rewatched video: "${mostRewatched?.title || 'N/A'}" by ${mostRewatched?.channelName || 'Unknown'} (${mostRewatchedSessions.length || 1} times this week)\n` +
     `Average watch completion: ${avgPercent}%\n` +
     `Most active watch day: ${mostActiveDay || 'Unknown'}\n` +
     `Most active watch hour: ${mostActiveHour || '00'}:00`;
 };
 
+// WHY: live streams, Shorts and music are summarized on their own lines so they do not skew the intentional-watch numbers.
+const buildSideSummary = (label, sessions) => {
+  if (!sessions.length) return '';
+  const spentSeconds = sessions.reduce((sum, row) => sum + getSessionTimes(row.session).spentSeconds, 0);
+  const loops = sessions.reduce((sum, row) => sum + (row.session.loopCount || 0), 0);
+  return `\n${label}: ${new Set(sessions.map((session) => session.videoId)).size} items in ${sessions.length} sessions, ` +
+    `${Math.round(spentSeconds / 60)} minutes spent, ${loops} replays (kept apart from the numbers above)`;
+};
+
 const mostFrequentValue = (values) => {
   if (!values.length) return null;
   const counts = new Map();
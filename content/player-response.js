@@ -0,0 +1,34 @@
+/**
+ * player-response.js
+ * Runs in the page's own JavaScript world (manifest `"world": "MAIN"`), where
+ * YouTube keeps the player response that tracker.js, running isolated, cannot
+ * see. On request it hands tracker.js a trimmed copy through DOM events; it
+ * reads nothing else and sends nothing off the page.
+ */
+
+const PLAYER_RESPONSE_EVENTS = {
+  REQUEST: 'yt-true-history:request-player-response',
+  RESPONSE: 'yt-true-history:player-response'
+};
+
+// WHY: `ytInitialPlayerResponse` only describes the first video of a page load;
+// after SPA navigation the live player object holds the current one.
+const readPlayerResponse = () => {
+  const player = document.getElementById('movie_player');
+  return player?.getPlayerResponse?.() || window.ytInitialPlayerResponse || null;
+};
+
+document.addEventListener(PLAYER_RESPONSE_EVENTS.REQUEST, () => {
+  const response = readPlayerResponse();
+  if (!response?.videoDetails) return;
+  const captionTracks = response.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+  // WHY: objects lose their contents crossing between worlds; a JSON string does not.
+  document.dispatchEvent(new CustomEvent(PLAYER_RESPONSE_EVENTS.RESPONSE, {
+    detail: JSON.stringify({
+      videoDetails: response.videoDetails,
+      microformat: response.microformat?.playerMicroformatRenderer || null,
+      captionTracks: captionTracks.map(({ languageCode, kind }) => ({ languageCode, kind })),
+      miniplayerMode: response.playabilityStatus?.miniplayer?.miniplayerRenderer?.playbackMode || null
+    })
+  }));
+});
@@ -1,39 +1,162 @@
 /**
  * tracker.js
- * Runs on youtube.com/watch pages only. Detects intentional watches, tracks
- * completion while respecting user settings, and sends structured watch events
- * to the background service worker via chrome.runtime messaging.
+ * Runs on every youtube.com page (YouTube navigates without reloading, so a
+ * video opened from home or search is still seen) and in embedded players
+ * (youtube.com and youtube-nocookie.com); it tracks only watch, /shorts/ and
+ * YouTube Music routes. Detects intentional watches, tracks completion while
+ * respecting user settings, and sends structured watch events to the
+ * background service worker via chrome.runtime messaging.
  */
 
 const MESSAGE_TYPES = {
   VIDEO_WATCHED: 'VIDEO_WATCHED',
+  VIDEO_PROGRESS: 'VIDEO_PROGRESS',
+  VIDEO_ABANDONED: 'VIDEO_ABANDONED',
   GET_SETTINGS: 'GET_SETTINGS'
 };
 
+// WHY: must match content/player-response.js, which runs in the page's world.
+const PLAYER_RESPONSE_EVENTS = {
+  REQUEST: 'yt-true-history:request-player-response',
+  RESPONSE: 'yt-true-history:player-response'
+};
+
+const CONTENT_TYPES = {
+  VIDEO: 'video',
+  SHORT: 'short',
+  MUSIC: 'music'
+};
+
+// PATTERN: Surface table — each YouTube player surface lists where its
+// player and metadata live, so the tracking loop stays the same for all of them.
+const SURFACES = {
+  watch: {
+    contentType: CONTENT_TYPES.VIDEO,
+    player: 'video',
+    title: 'h1.title',
+    channelLink: '#owner-name a, ytd-channel-name a',
+    channelName: null,
+    avatar: 'ytd-video-owner-renderer #avatar img[src], #owner #avatar img[src]'
+  },
+  shorts: {
+    contentType: CONTENT_TYPES.SHORT,
+    // WHY: the Shorts feed keeps neighbouring shorts' players in the page; only the active one is playing.
+    player: '#shorts-player video, ytd-reel-video-renderer[is-active] video',
+    title: 'ytd-reel-video-renderer[is-active] h2, ytd-reel-video-renderer[is-active] .title',
+    channelLink: 'ytd-reel-video-renderer[is-active] ytd-channel-name a, ytd-reel-video-renderer[is-active] a[href^="/@"]',
+    channelName: null,
+    avatar: null
+  },
+  embed: {
+    contentType: CONTENT_TYPES.VIDEO,
+    player: 'video',
+    title: '.ytp-title-link',
+    // WHY: the embed's channel logo links to the channel but has no text; the name sits in the title bar.
+    channelLink: 'a.ytp-title-channel-logo, .ytp-title-expanded-title a',
+    channelName: '.ytp-title-expanded-title, .ytp-title-channel-name',
+    avatar: null
+  },
+  music: {
+    contentType: CONTENT_TYPES.MUSIC,
+    player: 'video',
+    title: 'ytmusic-player-bar .title',
+    // WHY: the first byline link is the artist's channel; later ones are the album and year.
+    channelLink: 'ytmusic-player-bar .byline a',
+    channelName: null,
+    avatar: 'ytmusic-player-bar .image img[src]'
+  }
+};
+
+// WHY: per content type, which settings switch it on and hold its thresholds.
+const CONTENT_RULES = {
+  [CONTENT_TYPES.VIDEO]: { enabled: null, percent: 'minWatchPercent', seconds: 'minWatchTimeSeconds' },
+  [CONTENT_TYPES.SHORT]: { enabled: 'trackShorts', percent: 'shortsMinWatchPercent', seconds: 'shortsMinWatchSeconds' },
+  [CONTENT_TYPES.MUSIC]: { enabled: 'trackMusic', percent: 'musicMinWatchPercent', seconds: 'musicMinWatchSeconds' }
+};
+
 const DEFAULT_THRESHOLDS = {
   minWatchPercent: 40,
   minWatchTimeSeconds: 300,
   trackAutoplay: true,
   countHiddenTime: false,
+  watchTimeBasis: 'spent',
+  trackShorts: true,
+  shortsMinWatchPercent: 90,
+  shortsMinWatchSeconds: 60,
+  trackMusic: false,
+  musicMinWatchPercent: 50,
+  musicMinWatchSeconds: 60,
+  trackAbandoned: true,
   trackingEnabled: true
 };
 
 const POLL_INTERVAL_MS = 1000;
 const AUTOPLAY_WINDOW_MS = 2000;
+// WHY: one poll of playback plus timer jitter; a bigger forward jump is a seek.
+const SEEK_TOLERANCE_SECONDS = 0.5;
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+// WHY: YouTube marks the player while a stream or premiere is live, including when rewound (DVR).
+const LIVE_PLAYER_SELECTOR = '.html5-video-player.ytp-live';
+// WHY: a finished video's duration can settle by a fraction of a second once metadata loads;
+// a live stream's keeps growing with the broadcast.
+const DURATION_GROWTH_TOLERANCE_SECONDS = 1;
+// WHY: a page whose player never gets a duration (a removed video, a premiere
+// countdown) is not polled forever; the player's durationchange takes over.
+const PLAYER_WAIT_TIMEOUT_MS = 15000;
+const PLAYER_WAIT_INTERVAL_MS = 250;
+// WHY: the miniplayer keeps the video playing while the URL moves to another page.
+const MINIPLAYER_ACTIVE_SELECTOR = 'ytd-app[miniplayer-is-active]';
+// WHY: a few seconds is a misclick or a hover preview, not a start worth sampling.
+const ABANDON_MIN_SECONDS = 10;
+// WHY: enough to help categorize and search; the full description can run to pages.
+const DESCRIPTION_EXCERPT_LENGTH = 500;
+// WHY: YouTube only builds chapters from a description whose timestamps start at 0:00 and number three or more.
+const MIN_CHAPTERS = 3;
+// WHY: metadata is read every poll; one warning per stretch of misses is enough to notice a markup change.
+const SELECTOR_FAILURE_LOG_EVERY = 30;
 
 let settings = { ...DEFAULT_THRESHOLDS };
 let currentVideoId = null;
+let surface = SURFACES.watch;
+let contentType = CONTENT_TYPES.VIDEO;
 let watchTimer = null;
+let playerWaitTimer = null;
+let pendingPlayer = null;
 let player = null;
+// WHY: wall-clock seconds spent vs seconds of video played; they differ when playbackRate is not 1.
 let watchedSeconds = 0;
+let contentSeconds = 0;
+let watchedSegments = [];
+let chapterSeconds = {};
+let lastPosition = null;
+let loopCount = 0;
+let isLive = false;
+let liveSeconds = 0;
+let lastDuration = null;
 let hasRecorded = false;
 let autoplayDetected = false;
 let interactionCaptured = false;
 let videoStartTimestamp = performance.now();
+let sessionId = null;
+let sessionStartedAt = null;
+let lastProgress = null;
+let metadata = null;
+let playerResponse = null;
+const selectorFailures = {};
+let flushedSeconds = 0;
+// WHY: set between a source being dropped and the next one's metadata, when
+// the element's position already belongs to whatever loads next.
+let awaitingSource = false;
+// WHY: a session's final update must reach the worker after the save it updates.
+let lastDelivery = Promise.resolve();
+// WHY: the profile the worker saved the last watch to; that session's updates go
+// back to it even if the active profile switches before the session ends.
+let savedSession = { sessionId: null, profileId: null };
 
 const init = async () => {
   await loadSettings();
-  observeUrlChanges();
+  listenForPlayerResponse();
+  observeNavigation();
   setupInteractionTracking();
   detectVideo();
 };
@@ -41,7 +164,7 @@ const init = async () => {
 const loadSettings = async () => {
   // PATTERN: Message Passing — content script requests settings from worker.
   try {
-    const response = await sendMessage({ type: MESSAGE_TYPES.GET_SETTINGS });
+    const response = await sendMessage({ type: MESSAGE_TYPES.GET_SETTINGS, account: readSignedInAccount() });
     if (response?.success && response.data) {
       settings = { ...settings, ...response.data };
     }
@@ -50,6 +173,15 @@ const loadSettings = async () => {
   }
 };
 
+// WHY: the avatar URL is the only account identifier the page shows a content
+// script; the size suffix after "=" changes with layout, so it is dropped.
+const readSignedInAccount = () => {
+  const avatar = document.querySelector('#avatar-btn img[src]');
+  if (avatar?.src) return avatar.src.split('=')[0];
+  if (document.querySelector('ytd-masthead a[href*="ServiceLogin"]')) return '';
+  return null;
+};
+
 const sendMessage = (payload) => new Promise((resolve, reject) => {
   chrome.runtime.sendMessage(payload, (response) => {
     if (chrome.runtime.lastError) {
@@ -60,15 +192,16 @@ const sendMessage = (payload) => new Promise((resolve, reject) => {
   });
 });
 
-const observeUrlChanges = () => {
-  let lastHref = location.href;
-  const observer = new MutationObserver(() => {
-    if (location.href !== lastHref) {
-      lastHref = location.href;
-      detectVideo();
-    }
+// PATTERN: Session lifecycle — YouTube's navigation events end one session and
+// start the next; pagehide ends the last one, so its final minutes are flushed.
+const observeNavigation = () => {
+  document.addEventListener('yt-navigate-finish', detectVideo);
+  window.addEventListener('popstate', detectVideo);
+  window.addEventListener('pagehide', endSession);
+  window.addEventListener('pageshow', (event) => {
+    // WHY: a page restored from the back/forward cache had its session ended by pagehide.
+    if (event.persisted) detectVideo();
   });
-  observer.observe(document, { subtree: true, childList: true });
 };
 
 const setupInteractionTracking = () => {
@@ -79,52 +212,167 @@ const setupInteractionTracking = () => {
   window.addEventListener('keydown', markInteracted, { passive: true });
 };
 
-const detectVideo = () => {
+// WHY: Shorts and embeds carry their id in the path (/shorts/<id>, /embed/<id>);
+// watch pages and YouTube Music use ?v=. Any other route (home, search, a
+// channel) yields no videoId, so detectVideo starts nothing there.
+const readVideoRoute = () => {
   const url = new URL(window.location.href);
-  const videoId = url.searchParams.get('v');
-  if (!videoId) {
-    resetTracking();
-    return;
+  if (url.hostname === 'music.youtube.com') {
+    return { videoId: url.searchParams.get('v'), surfaceName: 'music' };
   }
+  const [, kind, pathId] = url.pathname.match(/^\/(shorts|embed)\/([^/]+)/) || [];
+  // WHY: playlist embeds (/embed/videoseries) do not name the playing video in the URL.
+  if (kind && pathId !== 'videoseries') return { videoId: pathId, surfaceName: kind };
+  if (url.pathname !== '/watch') return { videoId: null, surfaceName: null };
+  return { videoId: url.searchParams.get('v'), surfaceName: 'watch' };
+};
+
+const detectVideo = () => {
+  const { videoId, surfaceName } = readVideoRoute();
   if (videoId === currentVideoId) return;
-  currentVideoId = videoId;
-  waitForPlayer();
+  // WHY: browsing while the miniplayer plays leaves the watch page, not the video.
+  if (!videoId && player && !player.paused && document.querySelector(MINIPLAYER_ACTIVE_SELECTOR)) return;
+  endSession();
+  if (videoId) startSession(videoId, surfaceName);
 };
 
-const waitForPlayer = () => {
+const startSession = (videoId, surfaceName) => {
+  currentVideoId = videoId;
+  surface = SURFACES[surfaceName];
+  contentType = surface.contentType;
   resetTracking();
-  const attempt = () => {
-    player = document.querySelector('video');
-    if (player && player.duration) {
-      setupPlayerListeners();
-    } else {
-      requestAnimationFrame(attempt);
-    }
-  };
-  attempt();
+  // WHY: the active profile (and its thresholds) may have switched since the last video.
+  loadSettings();
+  waitForPlayer(performance.now());
 };
 
-const resetTracking = () => {
+const endSession = () => {
+  if (!currentVideoId) return;
+  flushProgress();
+  stopWaitingForPlayer();
   if (watchTimer) {
     clearInterval(watchTimer);
     watchTimer = null;
   }
+  detachPlayer();
+  currentVideoId = null;
+};
+
+const waitForPlayer = (startedAt) => {
+  playerWaitTimer = null;
+  const candidate = findPlayer();
+  if (candidate?.duration) {
+    attachPlayer(candidate);
+    return;
+  }
+  if (performance.now() - startedAt < PLAYER_WAIT_TIMEOUT_MS) {
+    playerWaitTimer = setTimeout(() => waitForPlayer(startedAt), PLAYER_WAIT_INTERVAL_MS);
+    return;
+  }
+  if (candidate) {
+    pendingPlayer = candidate;
+    pendingPlayer.addEventListener('durationchange', handlePendingDuration);
+  }
+};
+
+const handlePendingDuration = () => {
+  if (!pendingPlayer?.duration) return;
+  const ready = pendingPlayer;
+  stopWaitingForPlayer();
+  attachPlayer(ready);
+};
+
+const stopWaitingForPlayer = () => {
+  clearTimeout(playerWaitTimer);
+  playerWaitTimer = null;
+  pendingPlayer?.removeEventListener('durationchange', handlePendingDuration);
+  pendingPlayer = null;
+};
+
+const findPlayer = () => document.querySelector(surface.player) || document.querySelector('video');
+
+const resetTracking = () => {
   watchedSeconds = 0;
+  contentSeconds = 0;
+  watchedSegments = [];
+  chapterSeconds = {};
+  lastPosition = null;
+  loopCount = 0;
+  isLive = false;
+  liveSeconds = 0;
+  lastDuration = null;
+  lastProgress = null;
+  metadata = null;
+  flushedSeconds = 0;
   hasRecorded = false;
   autoplayDetected = false;
   videoStartTimestamp = performance.now();
+  sessionId = crypto.randomUUID();
+  sessionStartedAt = new Date().toISOString();
 };
 
-const setupPlayerListeners = () => {
+// WHY: YouTube reuses one <video> across videos, so listeners are removed
+// before they are added again instead of piling up.
+const attachPlayer = (element) => {
+  detachPlayer();
+  player = element;
+  awaitingSource = false;
+  player.addEventListener('playing', evaluateAutoplay, { once: true });
+  player.addEventListener('seeked', handleSeeked);
+  player.addEventListener('ended', handleEnded);
+  player.addEventListener('emptied', handleSourceEmptied);
+  player.addEventListener('loadedmetadata', handleSourceChange);
+  lastPosition = player.currentTime;
+  if (!watchTimer) {
+    watchTimer = setInterval(trackWatchTime, POLL_INTERVAL_MS);
+  }
+};
+
+const detachPlayer = () => {
   if (!player) return;
   player.removeEventListener('playing', evaluateAutoplay);
-  player.addEventListener('playing', evaluateAutoplay, { once: true });
-  player.addEventListener('ended', () => {
-    if (!hasRecorded) {
-      evaluateAndSend();
-    }
-  });
-  watchTimer = setInterval(trackWatchTime, POLL_INTERVAL_MS);
+  player.removeEventListener('seeked', handleSeeked);
+  player.removeEventListener('ended', handleEnded);
+  player.removeEventListener('emptied', handleSourceEmptied);
+  player.removeEventListener('loadedmetadata', handleSourceChange);
+  player = null;
+};
+
+const handleEnded = () => {
+  if (canCountNow() && !isLive) {
+    recordPlayedRange();
+    lastProgress = measureProgress();
+  }
+  if (!hasRecorded) {
+    evaluateAndSend();
+  }
+};
+
+// WHY: the old source is gone before the next one plays; a changed URL ends the
+// session here, and otherwise nothing is credited until the new source's
+// metadata shows whether it is still this video (e.g. after an ad).
+const handleSourceEmptied = () => {
+  awaitingSource = true;
+  lastPosition = null;
+  detectVideo();
+};
+
+// WHY: the next video (or YouTube Music track) can load into the same element
+// before any navigation event; its duration must not read as a growing stream.
+const handleSourceChange = () => {
+  awaitingSource = false;
+  detectVideo();
+  lastDuration = null;
+  lastPosition = player?.currentTime ?? null;
+};
+
+// WHY: a looping player (every short) seeks back to the start by itself; that is a replay, not a skip.
+const handleSeeked = () => {
+  if (!player || awaitingSource) return;
+  if (lastPosition !== null && isLoopRestart(lastPosition, player.currentTime)) {
+    recordLoop(lastPosition, player.currentTime);
+  }
+  lastPosition = player.currentTime;
 };
 
 const evaluateAutoplay = () => {
@@ -135,68 +383,383 @@ const evaluateAutoplay = () => {
 };
 
 const trackWatchTime = () => {
-  if (!player || player.paused || player.ended || !player.duration) {
+  // WHY: theater, fullscreen and miniplayer switches can re-render the player;
+  // the session follows the new element instead of starting over.
+  if (player && !player.isConnected) {
+    const replacement = findPlayer();
+    if (replacement) attachPlayer(replacement);
+    return;
+  }
+  if (!player || awaitingSource || player.paused || player.ended || !player.duration) {
     return;
   }
-  if (!settings.countHiddenTime && document.hidden) {
+  if (!canCountNow()) {
+    lastPosition = player.currentTime;
     return; // WHY: Page Visibility API prevents counting hidden tab time.
   }
+  updateLiveState();
   watchedSeconds += POLL_INTERVAL_MS / 1000;
+  contentSeconds += (POLL_INTERVAL_MS / 1000) * (player.playbackRate || 1);
+  if (isLive) {
+    liveSeconds += POLL_INTERVAL_MS / 1000;
+  } else {
+    recordPlayedRange();
+  }
+  lastProgress = measureProgress();
+  captureMetadata();
   evaluateAndSend();
 };
 
+// PATTERN: Sticky live flag — once a session is seen live it stays live, so
+// rewinding into the DVR buffer or a premiere's growing timeline is not
+// mistaken for a finished video.
+const updateLiveState = () => {
+  if (!player) return;
+  const duration = player.duration;
+  const grew = Number.isFinite(duration) && lastDuration !== null
+    && duration > lastDuration + DURATION_GROWTH_TOLERANCE_SECONDS;
+  if (!Number.isFinite(duration) || grew || document.querySelector(LIVE_PLAYER_SELECTOR)) {
+    isLive = true;
+  }
+  lastDuration = Number.isFinite(duration) ? duration : lastDuration;
+};
+
+// WHY: music is listened to with the tab in the background, so hidden time always counts for it.
+const canCountNow = () => settings.countHiddenTime || !document.hidden || contentType === CONTENT_TYPES.MUSIC;
+
+const maxPollStep = () => (POLL_INTERVAL_MS / 1000) * (player?.playbackRate || 1) + SEEK_TOLERANCE_SECONDS;
+
+// WHY: the end of one pass and the start of the next are both within one poll of playback.
+const isLoopRestart = (from, to) => !isLive
+  && Number.isFinite(player?.duration)
+  && from >= player.duration - maxPollStep()
+  && to <= maxPollStep();
+
+// PATTERN: Loop-aware coverage — a replay adds the tail of the last pass and
+// the head of the new one, and coverage never passes 100% however often a short loops.
+const recordLoop = (from, to) => {
+  loopCount += 1;
+  if (canCountNow()) {
+    watchedSegments = mergeSegments([...watchedSegments, [from, player.duration], [0, to]]);
+  }
+};
+
+// PATTERN: Watched segments — only the stretch played since the last poll is
+// added, so a seek ahead (or a jump to the end) never counts as watched.
+const recordPlayedRange = () => {
+  if (!player) return;
+  const position = player.currentTime;
+  const step = position - (lastPosition ?? position);
+  if (step > 0 && step <= maxPollStep()) {
+    watchedSegments = mergeSegments([...watchedSegments, [lastPosition, position]]);
+    addChapterSeconds(lastPosition, position);
+  } else if (step < 0 && isLoopRestart(lastPosition, position)) {
+    recordLoop(lastPosition, position);
+  }
+  lastPosition = position;
+};
+
+// WHY: segments merge repeated plays away; this keeps every pass per chapter
+// (keyed by its start), so a chapter played twice can show as rewatched.
+const addChapterSeconds = (from, to) => {
+  const chapters = metadata?.chapters || [];
+  chapters.forEach((chapter, index) => {
+    const seconds = Math.min(to, chapters[index + 1]?.start ?? Infinity) - Math.max(from, chapter.start);
+    if (seconds > 0) {
+      chapterSeconds[chapter.start] = (chapterSeconds[chapter.start] || 0) + seconds;
+    }
+  });
+};
+
+// WHY: same merge as helpers.js mergeSegments; content scripts cannot import modules.
+const mergeSegments = (segments) => [...segments]
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+
+const getCoverageSeconds = () => watchedSegments.reduce((total, [start, end]) => total + (end - start), 0);
+
+// WHY: a live stream has no fixed length, so it is stored without one.
+const measureProgress = () => {
+  const duration = isLive ? 0 : Math.floor(player?.duration || 0);
+  const percentWatched = duration ? Math.min(100, (getCoverageSeconds() / duration) * 100) : 0;
+  return { percentWatched, duration };
+};
+
+// WHY: progress is measured on each poll, so a flush after the element has
+// moved on to the next video still reports this session's numbers.
 const evaluateAndSend = () => {
-  if (hasRecorded || !player) return;
+  if (hasRecorded || !lastProgress) return;
   if (!settings.trackingEnabled) return;
-  const duration = Math.floor(player.duration || 0);
-  if (!duration) return;
-  const percentWatched = Math.min(100, (player.currentTime / duration) * 100);
-  const percentThreshold = settings.minWatchPercent ?? DEFAULT_THRESHOLDS.minWatchPercent;
-  const timeThreshold = settings.minWatchTimeSeconds ?? DEFAULT_THRESHOLDS.minWatchTimeSeconds;
-  const watchedEnough = percentWatched >= percentThreshold || watchedSeconds >= timeThreshold;
+  const { percentWatched, duration } = lastProgress;
+  if (!duration && !isLive) return;
+  const rules = CONTENT_RULES[contentType];
+  if (rules.enabled && !(settings[rules.enabled] ?? DEFAULT_THRESHOLDS[rules.enabled])) return;
+  // WHY: a short is over in seconds and loops, and a song is short too, so each type has its own thresholds.
+  const percentThreshold = settings[rules.percent] ?? DEFAULT_THRESHOLDS[rules.percent];
+  const timeThreshold = settings[rules.seconds] ?? DEFAULT_THRESHOLDS[rules.seconds];
+  // WHY: the user picks whether "5 minutes" means 5 minutes of their time or of the video.
+  const timeWatched = settings.watchTimeBasis === 'content' ? contentSeconds : watchedSeconds;
+  // WHY: percent of a stream that is still growing means nothing, so live watches qualify on time alone.
+  const watchedEnough = timeWatched >= timeThreshold || (!isLive && percentWatched >= percentThreshold);
   if (!watchedEnough) return;
   hasRecorded = true;
-  sendVideoRecord({ percentWatched, duration });
+  sendVideoRecord(MESSAGE_TYPES.VIDEO_WATCHED, lastProgress);
 };
 
-const sendVideoRecord = async ({ percentWatched, duration }) => {
-  const payload = await buildVideoPayload({ percentWatched, duration });
-  try {
-    const response = await sendMessage({
-      type: MESSAGE_TYPES.VIDEO_WATCHED,
-      payload
-    });
-    if (!response?.success) {
-      console.warn('Video watch save failed', response?.error);
+// WHY: a watch is sent once it qualifies; without a last update the minutes
+// watched after that would never reach storage.
+const flushProgress = () => {
+  if (!hasRecorded) {
+    evaluateAndSend();
+    if (!hasRecorded) sendAbandoned();
+    return;
+  }
+  if (!lastProgress || watchedSeconds === flushedSeconds) return;
+  sendVideoRecord(MESSAGE_TYPES.VIDEO_PROGRESS, lastProgress);
+};
+
+// WHY: what was started and dropped is the other half of the intent signal.
+// Shorts are scrolled past by design and a live stream has no drop-off point,
+// so neither is sampled.
+const sendAbandoned = () => {
+  if (!lastProgress?.duration || contentType === CONTENT_TYPES.SHORT) return;
+  if (!settings.trackingEnabled || !(settings.trackAbandoned ?? DEFAULT_THRESHOLDS.trackAbandoned)) return;
+  if (watchedSeconds < ABANDON_MIN_SECONDS) return;
+  const rules = CONTENT_RULES[contentType];
+  if (rules.enabled && !(settings[rules.enabled] ?? DEFAULT_THRESHOLDS[rules.enabled])) return;
+  sendVideoRecord(MESSAGE_TYPES.VIDEO_ABANDONED, lastProgress);
+};
+
+const sendVideoRecord = (type, progress) => {
+  // WHY: built right away, before the next session resets the counters.
+  const payload = buildVideoPayload(progress);
+  flushedSeconds = watchedSeconds;
+  lastDelivery = lastDelivery.then(async () => {
+    try {
+      if (type === MESSAGE_TYPES.VIDEO_PROGRESS && savedSession.sessionId === payload.sessionId) {
+        payload.profileId = savedSession.profileId;
+      }
+      const response = await sendMessage({ type, payload });
+      if (!response?.success) {
+        console.warn('Video watch save failed', response?.error);
+      } else if (type === MESSAGE_TYPES.VIDEO_WATCHED && response.data?.profileId) {
+        savedSession = { sessionId: payload.sessionId, profileId: response.data.profileId };
+      }
+    } catch (error) {
+      console.error('Failed to send video record', error);
+    }
+  });
+};
+
+// PATTERN: Player response bridge — player-response.js answers a request event
+// with YouTube's own structured data for the page. Dispatch is synchronous, so
+// the answer (if the page has one) is stored before requestPlayerResponse returns.
+const listenForPlayerResponse = () => {
+  document.addEventListener(PLAYER_RESPONSE_EVENTS.RESPONSE, (event) => {
+    try {
+      playerResponse = JSON.parse(event.detail);
+    } catch (error) {
+      console.error('listenForPlayerResponse failed', error);
+    }
+  });
+};
+
+const requestPlayerResponse = () => {
+  if (playerResponse?.videoDetails?.videoId === currentVideoId) return;
+  document.dispatchEvent(new CustomEvent(PLAYER_RESPONSE_EVENTS.REQUEST));
+};
+
+const parseTimestamp = (text) => text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+/**
+ * @param {string} description full video description
+ * @returns {{title: string, start: number}[]} chapters in order, empty when the description has none
+ */
+const parseChapters = (description) => {
+  const chapters = description.split('\n')
+    .map((line) => line.trim().match(/^(?:\d{1,2}:)?\d{1,2}:\d{2}/))
+    .filter(Boolean)
+    .map((match) => ({
+      title: match.input.slice(match[0].length).replace(/^[\s\-–—:|)]+/, '').trim(),
+      start: parseTimestamp(match[0])
+    }));
+  return chapters.length >= MIN_CHAPTERS && chapters[0].start === 0 && isAscending(chapters) ? chapters : [];
+};
+
+const isAscending = (chapters) => chapters.every((chapter, index) => index === 0 || chapter.start > chapters[index - 1].start);
+
+// WHY: the chapter list in the description panel, for pages whose player response is unavailable.
+// An entry without a readable time would parse as 0:00 and take the first chapter's watch time,
+// and an out-of-order list cannot be attributed at all, so either is dropped.
+const readChaptersFromPage = () => {
+  const chapters = [...document.querySelectorAll('ytd-macro-markers-list-item-renderer')]
+    .map((item) => ({
+      title: item.querySelector('h4')?.textContent?.trim() || '',
+      time: item.querySelector('#time')?.textContent?.trim() || ''
+    }))
+    .filter(({ time }) => /^(?:\d{1,2}:)?\d{1,2}:\d{2}$/.test(time))
+    .map(({ title, time }) => ({ title, start: parseTimestamp(time) }));
+  return isAscending(chapters) ? chapters : [];
+};
+
+/**
+ * @returns {object|null} structured metadata for the current video, or null when the page has no player response for it
+ */
+const readPlayerDetails = () => {
+  requestPlayerResponse();
+  const { videoDetails: details, microformat, captionTracks = [], miniplayerMode } = playerResponse || {};
+  if (details?.videoId !== currentVideoId) return null;
+  const description = details.shortDescription || microformat?.description?.simpleText || '';
+  // WHY: auto-generated captions are in the language actually spoken; uploaded ones may be translations.
+  const spokenTrack = captionTracks.find((track) => track.kind === 'asr') || captionTracks[0];
+  const handle = (microformat?.ownerProfileUrl || '').match(/\/(@[^/?]+)/)?.[1];
+  const viewCount = Number(details.viewCount);
+  return {
+    title: details.title || microformat?.title?.simpleText || null,
+    channelName: details.author || null,
+    channelId: CHANNEL_ID_PATTERN.test(details.channelId || '') ? details.channelId : null,
+    channelHandle: handle ? decodeURIComponent(handle) : null,
+    description: description.slice(0, DESCRIPTION_EXCERPT_LENGTH) || null,
+    keywords: details.keywords || [],
+    publishedAt: microformat?.publishDate || null,
+    viewCount: details.viewCount !== undefined && Number.isFinite(viewCount) ? viewCount : null,
+    youtubeCategory: microformat?.category || null,
+    language: spokenTrack?.languageCode || null,
+    // WHY: the response has no plain made-for-kids flag; YouTube limits the
+    // miniplayer to paused playback for those videos only.
+    madeForKids: miniplayerMode ? miniplayerMode === 'PLAYBACK_MODE_PAUSED_ONLY' : null,
+    chapters: parseChapters(description)
+  };
+};
+
+// PATTERN: Selector health — DOM scraping is only the fallback, so a selector that
+// stops matching after a YouTube redesign is counted and logged rather than
+// silently saving "Unknown title".
+const querySurface = (key) => {
+  const selector = surface[key];
+  if (!selector) return null;
+  const element = document.querySelector(selector);
+  if (!element) {
+    const failureKey = `${contentType}.${key}`;
+    selectorFailures[failureKey] = (selectorFailures[failureKey] || 0) + 1;
+    if (selectorFailures[failureKey] % SELECTOR_FAILURE_LOG_EVERY === 1) {
+      console.warn('tracker selector found nothing', { selector, key: failureKey, failures: selectorFailures[failureKey] });
     }
-  } catch (error) {
-    console.error('Failed to send video record', error);
   }
+  return element;
 };
 
-const buildVideoPayload = async ({ percentWatched, duration }) => {
-  const title = document.querySelector('h1.title')?.innerText?.trim() || document.title || 'Unknown title';
-  const channelLink = document.querySelector('#owner-name a, ytd-channel-name a');
-  const channelName = channelLink?.textContent?.trim() || 'Unknown channel';
+// WHY: @handle and /c/ links do not carry the stable UC… id. The page's
+// microformat does, but it can lag behind SPA navigation, so it is only
+// trusted while it describes the current video.
+const readChannelIdentityFromPage = () => {
+  const channelLink = querySurface('channelLink');
+  const nameElement = surface.channelName ? querySurface('channelName') : channelLink;
   const channelUrl = channelLink?.href || '';
-  const channelIdMatch = channelUrl.match(/channel\/([^/?]+)/);
-  const channelId = channelIdMatch ? channelIdMatch[1] : channelUrl;
+  const linkPath = channelUrl ? new URL(channelUrl, location.origin).pathname : '';
+  const microformatIsCurrent = document.querySelector('meta[itemprop="videoId"], meta[itemprop="identifier"]')?.content === currentVideoId;
+  const metaChannelId = microformatIsCurrent ? document.querySelector('meta[itemprop="channelId"]')?.content : null;
+  const authorUrl = microformatIsCurrent ? document.querySelector('[itemprop="author"] link[itemprop="url"]')?.href || '' : '';
+  const idFromLink = linkPath.match(/^\/channel\/([^/]+)/)?.[1];
+  const handle = linkPath.match(/^\/(@[^/]+)/)?.[1] || authorUrl.match(/\/(@[^/?]+)/)?.[1] || null;
+  const channelId = [idFromLink, metaChannelId].find((id) => CHANNEL_ID_PATTERN.test(id || ''));
+  return {
+    channelName: nameElement?.textContent?.trim() || 'Unknown channel',
+    channelUrl,
+    channelId: channelId || null,
+    channelHandle: handle ? decodeURIComponent(handle) : null
+  };
+};
+
+const readChannelIdentity = (details) => {
+  const identity = details?.channelName
+    ? {
+      channelName: details.channelName,
+      channelUrl: details.channelId ? `https://www.youtube.com/channel/${details.channelId}` : '',
+      channelId: details.channelId,
+      channelHandle: details.channelHandle
+    }
+    : readChannelIdentityFromPage();
+  return {
+    ...identity,
+    channelAvatar: surface.avatar ? document.querySelector(surface.avatar)?.src || null : null
+  };
+};
+
+// WHY: an embed's own URL is always YouTube's; the page around the frame is the
+// site the user was on. The top-most ancestor is the site in the address bar.
+const readSource = () => {
+  if (surface !== SURFACES.embed) return location.hostname.replace(/^www\./, '');
+  const ancestors = location.ancestorOrigins || [];
+  const outer = ancestors.length ? ancestors[ancestors.length - 1] : document.referrer;
+  try {
+    return new URL(outer).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return 'unknown site';
+  }
+};
+
+const readMetadata = () => {
+  const details = readPlayerDetails();
+  const { title, channelName, channelId, channelHandle, ...extra } = details || {};
+  const pageChapters = details ? [] : readChaptersFromPage();
+  return {
+    source: readSource(),
+    title: title
+      || querySurface('title')?.innerText?.trim()
+      || document.title.replace(/ - YouTube$/, '')
+      || 'Unknown title',
+    ...readChannelIdentity(details),
+    ...extra,
+    // WHY: an empty list would overwrite chapters saved from an earlier session's player response.
+    ...(pageChapters.length ? { chapters: pageChapters } : {})
+  };
+};
+
+// WHY: when a session ends the page may already show the next video, so its
+// title and channel are kept from the last poll that still showed this one.
+const captureMetadata = () => {
+  if (readVideoRoute().videoId === currentVideoId) {
+    metadata = readMetadata();
+  }
+};
+
+const buildVideoPayload = ({ percentWatched, duration }) => {
   const thumbnail = `https://i.ytimg.com/vi/${currentVideoId}/hqdefault.jpg`;
 
   return {
     videoId: currentVideoId,
-    title,
-    channelName,
-    channelId,
+    contentType,
+    sessionId,
+    sessionStartedAt,
+    ...(metadata || readMetadata()),
     thumbnail,
     watchedAt: new Date().toISOString(),
-    watchedDuration: Math.min(Math.floor(player.currentTime || watchedSeconds), duration),
+    watchedDuration: isLive ? Math.round(liveSeconds) : Math.min(Math.round(getCoverageSeconds()), duration),
+    timeSpentSeconds: Math.round(watchedSeconds),
+    contentSeconds: Math.round(contentSeconds),
+    playbackRate: watchedSeconds ? Math.round((contentSeconds / watchedSeconds) * 100) / 100 : 1,
+    watchedSegments: watchedSegments.map(([start, end]) => [Math.round(start * 10) / 10, Math.round(end * 10) / 10]),
+    chapterSeconds: Object.fromEntries(Object.entries(chapterSeconds).map(([start, seconds]) => [start, Math.round(seconds)])),
     totalDuration: duration,
     watchPercent: Math.round(percentWatched),
-    autoplay: autoplayDetected,
+    // WHY: every short starts on its own as you scroll, so the autoplay flag would mark them all.
+    autoplay: contentType === CONTENT_TYPES.SHORT ? false : autoplayDetected,
+    loopCount,
+    isLive,
+    liveWatchedSeconds: Math.round(liveSeconds),
     rewatchCount: 1,
     aiCategory: null,
-    aiCategoryConfidence: null
+    aiCategoryConfidence: null,
+    account: readSignedInAccount()
   };
 };
 
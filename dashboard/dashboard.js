@@ -14,42 +14,148 @@ import {
   saveSettings,
   exportHistory,
   importHistory,
+  previewImport,
+  exportBackup,
+  restoreBackupExtras,
   getCachedReport,
-  replaceHistory
+  moveAllToTrash,
+  getTrash,
+  restoreFromTrash,
+  purgeTrash,
+  purgeExpiredTrash,
+  getStorageReport,
+  compactStorage,
+  syncSettings,
+  pushHistoryDigest,
+  mergeRemoteDigests,
+  getProfiles,
+  setActiveProfile,
+  saveProfiles,
+  getLastSeenAccount,
+  setMergedView,
+  getCategories,
+  saveCategories,
+  getChannelRegistry,
+  getAbandonedSessions,
+  promoteAbandonedSession,
+  SAMPLED_RETENTION_DAYS,
+  mergeChannel,
+  undoChannelMerge,
+  HISTORY_CHANGE_KEY,
+  PROFILE_CHANGE_KEYS,
+  CATEGORY_CHANGE_KEY,
+  CHANNEL_CHANGE_KEY
 } from '../utils/storage.js';
+import { ALL_PROFILES, DEFAULT_PROFILE_ID, SCHEDULE_PRESETS } from '../utils/profiles.js';
+import { UNCATEGORIZED, buildColorMap, buildCategoryOverride } from '../utils/categories.js';
+import { EMPTY_REGISTRY, resolveChannel, findDuplicateChannels, listMergedChannels } from '../utils/channels.js';
 import {
-  VIDEO_CATEGORIES,
-  CATEGORY_COLOR_MAP,
   formatDuration,
   formatDate,
   formatPercent,
+  formatBytes,
+  getThumbnailUrl,
   calculateTopChannels,
+  calculateAbandonment,
   calculateCategoryBreakdown,
   calculateDailyActivity,
-  buildCsv,
   searchVideos,
   sortVideos,
   filterByDateRange,
-  toHoursMinutes
+  toHoursMinutes,
+  safeMarkdown,
+  escapeAttribute,
+  getVideoSessions,
+  normalizeTags,
+  normalizeRating,
+  collectTags,
+  sumSegments,
+  getContentType,
+  CONTENT_TYPES,
+  CHAPTER_STATUSES,
+  getWatchUrl
 } from '../utils/helpers.js';
+import {
+  isTakeoutHistory,
+  parseTakeoutJson,
+  parseTakeoutHtml,
+  parseCsvHistory,
+  buildImportEnvelope
+} from '../utils/importers.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  buildExportFile
+} from '../utils/exporters.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup } from '../utils/crypto.js';
 
 const MESSAGE_TYPES = {
   GENERATE_WEEKLY_REPORT: 'GENERATE_WEEKLY_REPORT',
   CATEGORIZE_PENDING: 'CATEGORIZE_PENDING'
 };
 
+const CONTENT_TYPE_BADGES = {
+  [CONTENT_TYPES.SHORT]: '<span class="badge badge--info">Short</span>',
+  [CONTENT_TYPES.MUSIC]: '<span class="badge badge--info">Music</span>'
+};
+
+const CHAPTER_STATUS_LABELS = {
+  [CHAPTER_STATUSES.COMPLETED]: 'Completed',
+  [CHAPTER_STATUSES.REWATCHED]: 'Rewatched',
+  [CHAPTER_STATUSES.PARTIAL]: 'Partly watched',
+  [CHAPTER_STATUSES.SKIPPED]: 'Skipped',
+  [CHAPTER_STATUSES.UNWATCHED]: 'Not reached'
+};
+
+/**
+ * @param {object[]} chapterProgress record's per-chapter progress
+ * @returns {{done: number, skipped: number, rewatched: number}} chapters completed (rewatches included), skipped and rewatched
+ */
+const countChapters = (chapterProgress = []) => ({
+  done: chapterProgress.filter((chapter) => [CHAPTER_STATUSES.COMPLETED, CHAPTER_STATUSES.REWATCHED].includes(chapter.status)).length,
+  skipped: chapterProgress.filter((chapter) => chapter.status === CHAPTER_STATUSES.SKIPPED).length,
+  rewatched: chapterProgress.filter((chapter) => chapter.status === CHAPTER_STATUSES.REWATCHED).length
+});
+
+// WHY: only embeds on other sites are worth calling out; YouTube itself is the default.
+const YOUTUBE_SOURCES = new Set(['youtube.com', 'm.youtube.com', 'music.youtube.com']);
+
+const formatSource = (source) => (source && !YOUTUBE_SOURCES.has(source) ? ` · on ${source}` : '');
+
 const FORM_DEFAULTS = {
   minWatchPercent: 40,
   minWatchTimeSeconds: 300,
+  watchTimeBasis: 'spent',
+  trackShorts: true,
+  shortsMinWatchPercent: 90,
+  shortsMinWatchSeconds: 60,
+  trackMusic: false,
+  musicMinWatchPercent: 50,
+  musicMinWatchSeconds: 60,
   trackAutoplay: true,
+  trackAbandoned: true,
   countHiddenTime: true,
   dataRetention: 'all',
+  retentionDays: 365,
+  retentionMode: 'delete',
+  retentionOverrides: [],
+  trashRetentionDays: 30,
   aiFeaturesEnabled: true,
   openRouterApiKey: '',
-  trackingEnabled: true
+  trackingEnabled: true,
+  syncEnabled: false,
+  syncApiKey: false,
+  syncHistoryDigest: false
 };
 
-const RETENTION_OPTIONS = new Set(['all', '3m', '6m', '1y']);
+const RETENTION_OPTIONS = new Set(['all', '3m', '6m', '1y', 'custom']);
+const WATCH_TIME_BASIS_OPTIONS = new Set(['spent', 'content']);
+const RETENTION_MODE_OPTIONS = new Set(['delete', 'archive']);
+const OVERRIDE_TYPES = new Set(['category', 'channel']);
+const TRASH_RETENTION_OPTIONS = new Set([7, 30, 90]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IMPORT_PREVIEW_LIMIT = 50;
 
 const clampNumber = (value, min, max, fallback) => {
   if (Number.isFinite(value) && value >= min && value <= max) {
@@ -65,6 +171,17 @@ const ensureSeconds = (value, fallback) => {
   return fallback;
 };
 
+const sanitizeOverrides = (overrides, fallback) => {
+  if (!Array.isArray(overrides)) return fallback;
+  return overrides
+    .filter((rule) => OVERRIDE_TYPES.has(rule?.type) && typeof rule.name === 'string' && rule.name.trim())
+    .map((rule) => ({
+      type: rule.type,
+      name: rule.name.trim(),
+      days: clampNumber(Number(rule.days), 1, 3650, null)
+    }));
+};
+
 const parseBoolean = (value, fallback) => {
   if (typeof value === 'boolean') return value;
   if (value === 'true') return true;
@@ -76,24 +193,54 @@ const sanitizeSettings = (input = {}, base = FORM_DEFAULTS) => {
   const fallback = {
     minWatchPercent: clampNumber(base.minWatchPercent, 10, 80, FORM_DEFAULTS.minWatchPercent),
     minWatchTimeSeconds: ensureSeconds(base.minWatchTimeSeconds, FORM_DEFAULTS.minWatchTimeSeconds),
+    watchTimeBasis: WATCH_TIME_BASIS_OPTIONS.has(base.watchTimeBasis) ? base.watchTimeBasis : FORM_DEFAULTS.watchTimeBasis,
+    trackShorts: parseBoolean(base.trackShorts, FORM_DEFAULTS.trackShorts),
+    shortsMinWatchPercent: clampNumber(base.shortsMinWatchPercent, 10, 100, FORM_DEFAULTS.shortsMinWatchPercent),
+    shortsMinWatchSeconds: clampNumber(base.shortsMinWatchSeconds, 5, 600, FORM_DEFAULTS.shortsMinWatchSeconds),
+    trackMusic: parseBoolean(base.trackMusic, FORM_DEFAULTS.trackMusic),
+    musicMinWatchPercent: clampNumber(base.musicMinWatchPercent, 10, 100, FORM_DEFAULTS.musicMinWatchPercent),
+    musicMinWatchSeconds: clampNumber(base.musicMinWatchSeconds, 5, 600, FORM_DEFAULTS.musicMinWatchSeconds),
     trackAutoplay: parseBoolean(base.trackAutoplay, FORM_DEFAULTS.trackAutoplay),
+    trackAbandoned: parseBoolean(base.trackAbandoned, FORM_DEFAULTS.trackAbandoned),
     countHiddenTime: parseBoolean(base.countHiddenTime, FORM_DEFAULTS.countHiddenTime),
     dataRetention: RETENTION_OPTIONS.has(base.dataRetention) ? base.dataRetention : FORM_DEFAULTS.dataRetention,
+    retentionDays: clampNumber(Number(base.retentionDays), 1, 3650, FORM_DEFAULTS.retentionDays),
+    retentionMode: RETENTION_MODE_OPTIONS.has(base.retentionMode) ? base.retentionMode : FORM_DEFAULTS.retentionMode,
+    retentionOverrides: sanitizeOverrides(base.retentionOverrides, FORM_DEFAULTS.retentionOverrides),
+    trashRetentionDays: TRASH_RETENTION_OPTIONS.has(base.trashRetentionDays) ? base.trashRetentionDays : FORM_DEFAULTS.trashRetentionDays,
     aiFeaturesEnabled: parseBoolean(base.aiFeaturesEnabled, FORM_DEFAULTS.aiFeaturesEnabled),
     openRouterApiKey: typeof base.openRouterApiKey === 'string' ? base.openRouterApiKey : FORM_DEFAULTS.openRouterApiKey,
-    trackingEnabled: parseBoolean(base.trackingEnabled, FORM_DEFAULTS.trackingEnabled)
+    trackingEnabled: parseBoolean(base.trackingEnabled, FORM_DEFAULTS.trackingEnabled),
+    syncEnabled: parseBoolean(base.syncEnabled, FORM_DEFAULTS.syncEnabled),
+    syncApiKey: parseBoolean(base.syncApiKey, FORM_DEFAULTS.syncApiKey),
+    syncHistoryDigest: parseBoolean(base.syncHistoryDigest, FORM_DEFAULTS.syncHistoryDigest)
   };
 
   return {
     ...base,
     minWatchPercent: clampNumber(Number(input.minWatchPercent), 10, 80, fallback.minWatchPercent),
     minWatchTimeSeconds: ensureSeconds(Number(input.minWatchTimeSeconds), fallback.minWatchTimeSeconds),
+    watchTimeBasis: WATCH_TIME_BASIS_OPTIONS.has(input.watchTimeBasis) ? input.watchTimeBasis : fallback.watchTimeBasis,
+    trackShorts: parseBoolean(input.trackShorts, fallback.trackShorts),
+    shortsMinWatchPercent: clampNumber(Number(input.shortsMinWatchPercent), 10, 100, fallback.shortsMinWatchPercent),
+    shortsMinWatchSeconds: clampNumber(Number(input.shortsMinWatchSeconds), 5, 600, fallback.shortsMinWatchSeconds),
+    trackMusic: parseBoolean(input.trackMusic, fallback.trackMusic),
+    musicMinWatchPercent: clampNumber(Number(input.musicMinWatchPercent), 10, 100, fallback.musicMinWatchPercent),
+    musicMinWatchSeconds: clampNumber(Number(input.musicMinWatchSeconds), 5, 600, fallback.musicMinWatchSeconds),
     trackAutoplay: parseBoolean(input.trackAutoplay, fallback.trackAutoplay),
+    trackAbandoned: parseBoolean(input.trackAbandoned, fallback.trackAbandoned),
     countHiddenTime: parseBoolean(input.countHiddenTime, fallback.countHiddenTime),
     dataRetention: RETENTION_OPTIONS.has(input.dataRetention) ? input.dataRetention : fallback.dataRetention,
+    retentionDays: clampNumber(Number(input.retentionDays), 1, 3650, fallback.retentionDays),
+    retentionMode: RETENTION_MODE_OPTIONS.has(input.retentionMode) ? input.retentionMode : fallback.retentionMode,
+    retentionOverrides: sanitizeOverrides(input.retentionOverrides, fallback.retentionOverrides),
+    trashRetentionDays: TRASH_RETENTION_OPTIONS.has(Number(input.trashRetentionDays)) ? Number(input.trashRetentionDays) : fallback.trashRetentionDays,
     aiFeaturesEnabled: parseBoolean(input.aiFeaturesEnabled, fallback.aiFeaturesEnabled),
     openRouterApiKey: typeof input.openRouterApiKey === 'string' ? input.openRouterApiKey.trim() : fallback.openRouterApiKey,
-    trackingEnabled: parseBoolean(input.trackingEnabled, fallback.trackingEnabled)
+    trackingEnabled: parseBoolean(input.trackingEnabled, fallback.trackingEnabled),
+    syncEnabled: parseBoolean(input.syncEnabled, fallback.syncEnabled),
+    syncApiKey: parseBoolean(input.syncApiKey, fallback.syncApiKey),
+    syncHistoryDigest: parseBoolean(input.syncHistoryDigest, fallback.syncHistoryDigest)
   };
 };
 
@@ -101,10 +248,17 @@ const areSettingsEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
 
 const refreshHistoryFromStorage = async () => {
   try {
-    const history = await getHistory();
+    const [history, abandoned] = await Promise.all([getHistory(), getAbandonedSessions()]);
     state.history = history;
+    state.abandoned = abandoned;
+    populateChannelFilter();
+    populateCategoryFilter();
+    populateTagFilter();
     applyFilters();
     renderAll();
+    renderChannelPanel();
+    renderAbandonmentPanel();
+    renderStoragePanel();
   } catch (error) {
     console.error('dashboard.refreshHistoryFromStorage failed', error);
   }
@@ -123,15 +277,24 @@ const refreshSettingsFromStorage = async () => {
 const subscribeToStorage = () => {
   chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName !== 'local') return;
-    if (changes.videos) {
+    if (changes[HISTORY_CHANGE_KEY]) {
       refreshHistoryFromStorage();
     }
     if (changes.settings) {
       refreshSettingsFromStorage();
     }
-    if (changes.reportCache) {
+    if (Object.keys(changes).some((key) => key.startsWith('reportCache'))) {
       loadReportCache();
     }
+    if (PROFILE_CHANGE_KEYS.some((key) => changes[key])) {
+      refreshProfilesFromStorage();
+    }
+    if (changes[CATEGORY_CHANGE_KEY]) {
+      refreshCategoriesFromStorage();
+    }
+    if (changes[CHANNEL_CHANGE_KEY]) {
+      refreshChannelsFromStorage();
+    }
   });
 };
 
@@ -143,6 +306,9 @@ const state = {
     search: '',
     channel: 'all',
     category: 'all',
+    tag: 'all',
+    source: 'all',
+    contentType: 'video',
     dateStart: '',
     dateEnd: '',
     minPercent: 0,
@@ -151,22 +317,414 @@ const state = {
     sort: 'recent'
   },
   report: null,
-  reportLoading: false
+  reportLoading: false,
+  pendingImport: null,
+  drawerVideo: null,
+  categories: [],
+  categoryColors: {},
+  channelRegistry: EMPTY_REGISTRY,
+  abandoned: [],
+  profiles: [],
+  activeProfileId: DEFAULT_PROFILE_ID,
+  mergedView: false
 };
 
 const init = async () => {
+  await loadProfiles();
   await loadInitialData();
   initFilters();
   bindEvents();
   renderAll();
   await loadReportCache();
+  await renderStoragePanel();
   subscribeToStorage();
 };
 
+const loadProfiles = async () => {
+  const { profiles, activeId } = await getProfiles();
+  state.profiles = profiles;
+  state.activeProfileId = activeId;
+  renderProfileView();
+  renderProfileList();
+};
+
+// WHY: switching profile here or in the popup changes history, settings and report at once.
+const refreshProfilesFromStorage = async () => {
+  try {
+    await loadProfiles();
+    await Promise.all([refreshHistoryFromStorage(), refreshSettingsFromStorage(), loadReportCache()]);
+  } catch (error) {
+    console.error('dashboard.refreshProfilesFromStorage failed', error);
+  }
+};
+
+const getProfileName = (profileId) => state.profiles.find((profile) => profile.id === profileId)?.name || 'Unknown profile';
+
+const renderProfileView = () => {
+  const select = document.getElementById('profileView');
+  if (select) {
+    select.innerHTML = [
+      ...state.profiles.map((profile) => `<option value="${escapeAttribute(profile.id)}">${safeMarkdown(profile.name)}</option>`),
+      state.profiles.length > 1 ? `<option value="${ALL_PROFILES}">All profiles (merged)</option>` : ''
+    ].join('');
+    select.value = state.mergedView ? ALL_PROFILES : state.activeProfileId;
+  }
+  document.body.classList.toggle('is-merged-view', state.mergedView);
+  const mergedNote = document.getElementById('mergedViewNote');
+  if (mergedNote) mergedNote.hidden = !state.mergedView;
+  const settingsNote = document.getElementById('settingsProfileNote');
+  if (settingsNote) {
+    settingsNote.hidden = state.activeProfileId === DEFAULT_PROFILE_ID;
+    settingsNote.textContent = `Thresholds and AI settings apply to the ${getProfileName(state.activeProfileId)} profile; the rest are shared by every profile.`;
+  }
+};
+
+const handleProfileViewChange = async (event) => {
+  const { value } = event.target;
+  try {
+    if (value === ALL_PROFILES) {
+      state.mergedView = true;
+      setMergedView(true);
+      renderProfileView();
+      await refreshHistoryFromStorage();
+      return;
+    }
+    state.mergedView = false;
+    setMergedView(false);
+    if (value === state.activeProfileId) {
+      renderProfileView();
+      await refreshHistoryFromStorage();
+    } else {
+      // WHY: the storage listener reloads everything once the active profile changes.
+      await setActiveProfile(value);
+    }
+  } catch (error) {
+    console.error('handleProfileViewChange failed', error);
+    showToast('Failed to switch profile', true);
+  }
+};
+
+const schedulePresetOf = (schedule) => Object.keys(SCHEDULE_PRESETS)
+  .find((preset) => schedule && SCHEDULE_PRESETS[preset].join() === schedule.days.join()) || '';
+
+const renderProfileRow = (profile = { id: '', name: '', schedule: null, account: '' }) => {
+  const preset = schedulePresetOf(profile.schedule);
+  return `<div class="profile-row" data-profile-id="${escapeAttribute(profile.id)}">
+  <input type="text" name="profileName" value="${escapeAttribute(profile.name)}" placeholder="Work, Personal…" aria-label="Profile name" required />
+  <select name="profileSchedule" aria-label="Switch to this profile on a schedule">
+    <option value="" ${preset ? '' : 'selected'}>No schedule</option>
+    <option value="weekdays" ${preset === 'weekdays' ? 'selected' : ''}>Weekdays</option>
+    <option value="weekends" ${preset === 'weekends' ? 'selected' : ''}>Weekends</option>
+    <option value="daily" ${preset === 'daily' ? 'selected' : ''}>Every day</option>
+  </select>
+  <input type="time" name="profileStart" value="${escapeAttribute(profile.schedule?.start || '09:00')}" aria-label="Schedule start" />
+  <input type="time" name="profileEnd" value="${escapeAttribute(profile.schedule?.end || '17:00')}" aria-label="Schedule end" />
+  <input type="hidden" name="profileAccount" value="${escapeAttribute(profile.account)}" />
+  <span class="profile-row__account">
+    ${profile.account ? `<img src="${escapeAttribute(profile.account)}" alt="Linked YouTube account" />` : ''}
+    <button type="button" class="btn btn--ghost" data-action="${profile.account ? 'unlink-account' : 'link-account'}">${profile.account ? 'Unlink account' : 'Link signed-in account'}</button>
+  </span>
+  ${profile.id === DEFAULT_PROFILE_ID ? '<span class="muted">Default</span>' : '<button type="button" class="btn btn--ghost" data-action="remove-profile">Remove</button>'}
+</div>`;
+};
+
+const renderProfileList = () => {
+  const list = document.getElementById('profileList');
+  if (list) list.innerHTML = state.profiles.map(renderProfileRow).join('');
+};
+
+const readProfileRow = (row) => {
+  const preset = row.querySelector('[name="profileSchedule"]').value;
+  return {
+    id: row.dataset.profileId || undefined,
+    name: row.querySelector('[name="profileName"]').value,
+    schedule: preset ? {
+      days: SCHEDULE_PRESETS[preset],
+      start: row.querySelector('[name="profileStart"]').value,
+      end: row.querySelector('[name="profileEnd"]').value
+    } : null,
+    account: row.querySelector('[name="profileAccount"]').value
+  };
+};
+
+const readProfileRows = (form) => Array.from(form.querySelectorAll('.profile-row')).map(readProfileRow);
+
+const handleProfileListClick = async (event) => {
+  const row = event.target.closest('.profile-row');
+  if (!row) return;
+  const action = event.target.dataset.action;
+  if (action === 'remove-profile') {
+    row.remove();
+    return;
+  }
+  if (action !== 'link-account' && action !== 'unlink-account') return;
+  const account = action === 'link-account' ? await getLastSeenAccount() : '';
+  if (action === 'link-account' && !account) {
+    showToast('Open a YouTube video while signed in, then link again.', true);
+    return;
+  }
+  row.outerHTML = renderProfileRow({ ...readProfileRow(row), id: row.dataset.profileId, account });
+};
+
+const handleProfilesSubmit = async (event) => {
+  event.preventDefault();
+  const edited = readProfileRows(event.target);
+  const removed = state.profiles.filter((profile) => !edited.some((item) => item.id === profile.id));
+  if (removed.length && !confirm(`Delete ${removed.map((profile) => profile.name).join(', ')} and all of its history? Export it first if you want to keep it.`)) return;
+  try {
+    state.profiles = await saveProfiles(edited);
+    renderProfileList();
+    renderProfileView();
+    showToast('Profiles saved.');
+  } catch (error) {
+    console.error('saveProfiles failed', error);
+    showToast('Failed to save profiles', true);
+  }
+};
+
+const setCategories = (categories) => {
+  state.categories = categories;
+  state.categoryColors = buildColorMap(categories);
+};
+
+const refreshCategoriesFromStorage = async () => {
+  try {
+    setCategories(await getCategories());
+    populateCategoryFilter();
+    renderCategoryList();
+    renderAll();
+  } catch (error) {
+    console.error('dashboard.refreshCategoriesFromStorage failed', error);
+  }
+};
+
+const renderCategoryRow = (category = { name: '', color: '#9aa7b8' }) => {
+  const others = state.categories.filter((item) => item.name !== category.name);
+  return `<div class="category-row">
+  <input type="color" name="categoryColor" value="${escapeAttribute(category.color)}" aria-label="Color" />
+  <input type="text" name="categoryName" value="${escapeAttribute(category.name)}" placeholder="Podcasts, Woodworking…" aria-label="Category name" maxlength="40" required />
+  <input type="hidden" name="categoryOriginal" value="${escapeAttribute(category.name)}" />
+  ${category.name ? `<select name="categoryMerge" aria-label="Merge into another category">
+    <option value="">Keep separate</option>
+    ${others.map((item) => `<option value="${escapeAttribute(item.name)}">Merge into ${safeMarkdown(item.name)}</option>`).join('')}
+  </select>` : ''}
+  <button type="button" class="btn btn--ghost" data-action="remove-category">Remove</button>
+</div>`;
+};
+
+const renderCategoryList = () => {
+  const list = document.getElementById('categoryList');
+  if (list) list.innerHTML = state.categories.map(renderCategoryRow).join('');
+};
+
+const readCategoryRows = (form) => Array.from(form.querySelectorAll('.category-row')).map((row) => ({
+  name: row.querySelector('[name="categoryName"]').value,
+  color: row.querySelector('[name="categoryColor"]').value,
+  originalName: row.querySelector('[name="categoryOriginal"]').value || undefined,
+  mergeInto: row.querySelector('[name="categoryMerge"]')?.value || undefined
+}));
+
+const handleCategoriesSubmit = async (event) => {
+  event.preventDefault();
+  const edited = readCategoryRows(event.target);
+  const merged = edited.filter((row) => row.mergeInto).length;
+  const removed = state.categories.filter((category) => !edited.some((row) => row.originalName === category.name)).length;
+  if ((merged || removed) && !confirm('Videos in merged or removed categories are relabeled in every profile. Removed categories go back to Uncategorized. Continue?')) return;
+  try {
+    const { categories, relabeled } = await saveCategories(edited);
+    setCategories(categories);
+    renderCategoryList();
+    showToast(relabeled ? `Categories saved. ${relabeled} video(s) relabeled.` : 'Categories saved.');
+  } catch (error) {
+    console.error('saveCategories failed', error);
+    showToast('Failed to save categories', true);
+  }
+};
+
+const channelOf = (video) => resolveChannel(state.channelRegistry, video);
+
+const refreshChannelsFromStorage = async () => {
+  try {
+    state.channelRegistry = await getChannelRegistry();
+    populateChannelFilter();
+    applyFilters();
+    renderAll();
+    renderChannelPanel();
+  } catch (error) {
+    console.error('dashboard.refreshChannelsFromStorage failed', error);
+  }
+};
+
+/**
+ * @returns {{key: string, name: string, handle: string|null, count: number}[]} channels in the loaded history, by name
+ */
+const listHistoryChannels = () => {
+  const channels = new Map();
+  state.history.forEach((video) => {
+    const channel = channelOf(video);
+    const entry = channels.get(channel.key) || { ...channel, count: 0 };
+    entry.count += 1;
+    channels.set(channel.key, entry);
+  });
+  return Array.from(channels.values()).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const channelLabel = (channel) => `${channel.name}${channel.handle ? ` (${channel.handle})` : ''}`;
+
+// PATTERN: Suggested target — the id-keyed entry keeps the stats, since later watches land there.
+const pickMergeTarget = (keys) => keys.find((key) => key.startsWith('UC')) || keys.find((key) => key.startsWith('@')) || keys[0];
+
+const renderChannelPanel = () => {
+  const source = document.getElementById('channelMergeSource');
+  const target = document.getElementById('channelMergeTarget');
+  const suggestions = document.getElementById('channelSuggestions');
+  const merges = document.getElementById('channelMerges');
+  if (!source || !target || !suggestions || !merges) return;
+  const options = listHistoryChannels()
+    .map((channel) => `<option value="${escapeAttribute(channel.key)}">${safeMarkdown(channelLabel(channel))} · ${channel.count} video${channel.count === 1 ? '' : 's'}</option>`)
+    .join('');
+  source.innerHTML = options;
+  target.innerHTML = options;
+  const duplicates = findDuplicateChannels(state.channelRegistry, state.history);
+  suggestions.innerHTML = duplicates.length
+    ? duplicates.map((group) => `<li>
+      <span>${safeMarkdown(group.name)} appears as ${group.keys.length} channels</span>
+      <button type="button" class="btn btn--ghost" data-action="merge-duplicates" data-keys="${escapeAttribute(group.keys.join(' '))}">Merge</button>
+    </li>`).join('')
+    : '<li class="muted">No likely duplicates.</li>';
+  const merged = listMergedChannels(state.channelRegistry);
+  merges.innerHTML = merged.length
+    ? merged.map((entry) => `<li>
+      <span>${safeMarkdown(entry.name)} → ${safeMarkdown(entry.targetName)}</span>
+      <button type="button" class="btn btn--ghost" data-action="undo-merge" data-key="${escapeAttribute(entry.key)}">Undo</button>
+    </li>`).join('')
+    : '<li class="muted">No merged channels.</li>';
+};
+
+/**
+ * @param {string[]} sourceKeys channels to fold into the target
+ * @param {string} targetKey
+ * @returns {Promise<boolean>} true once every merge is saved
+ */
+const mergeChannelKeys = async (sourceKeys, targetKey) => {
+  try {
+    for (const key of sourceKeys) {
+      // WHY: each merge reads the registry the previous one wrote.
+      state.channelRegistry = await mergeChannel(key, targetKey);
+    }
+    return true;
+  } catch (error) {
+    console.error('mergeChannelKeys failed', error);
+    showToast(error.message || 'Failed to merge channels', true);
+    return false;
+  }
+};
+
+const handleChannelMergeSubmit = async (event) => {
+  event.preventDefault();
+  const form = new FormData(event.target);
+  const source = form.get('mergeSource');
+  const target = form.get('mergeTarget');
+  if (!source || !target) return;
+  if (await mergeChannelKeys([source], target)) {
+    showToast('Channels merged.', false, { label: 'Undo', onClick: () => handleUndoChannelMerge(source) });
+  }
+};
+
+const handleUndoChannelMerge = async (key) => {
+  try {
+    state.channelRegistry = await undoChannelMerge(key);
+    showToast('Merge undone.');
+  } catch (error) {
+    console.error('undoChannelMerge failed', error);
+    showToast('Failed to undo the merge', true);
+  }
+};
+
+const handleChannelPanelClick = async (event) => {
+  const { action, keys, key } = event.target.dataset;
+  if (action === 'undo-merge') {
+    await handleUndoChannelMerge(key);
+    return;
+  }
+  if (action !== 'merge-duplicates') return;
+  const group = keys.split(' ');
+  const target = pickMergeTarget(group);
+  if (await mergeChannelKeys(group.filter((item) => item !== target), target)) {
+    showToast('Channels merged.');
+  }
+};
+
+const ABANDONMENT_ROW_LIMIT = 8;
+const ABANDONED_LIST_LIMIT = 20;
+
+const renderAbandonmentRows = (rows) => (rows.length
+  ? rows.slice(0, ABANDONMENT_ROW_LIMIT).map((row) => `<li>
+      <span>${safeMarkdown(row.name)}</span>
+      <span class="muted">${formatPercent(row.rate * 100)} of ${row.abandoned + row.completed} starts · stops at ${formatPercent(row.medianDropOff)}</span>
+    </li>`).join('')
+  : '<li class="muted">Nothing abandoned yet.</li>');
+
+const renderAbandonmentPanel = () => {
+  const summary = document.getElementById('abandonmentSummary');
+  const chart = document.getElementById('dropOffChart');
+  const byChannel = document.getElementById('abandonmentByChannel');
+  const byCategory = document.getElementById('abandonmentByCategory');
+  const list = document.getElementById('abandonedList');
+  if (!summary || !chart || !byChannel || !byCategory || !list) return;
+  // WHY: samples expire after a few days, so watches are counted over the same window.
+  const since = new Date(Date.now() - SAMPLED_RETENTION_DAYS * DAY_MS).toISOString();
+  const report = calculateAbandonment(state.abandoned, getIntentionalWatches(), state.channelRegistry, since);
+  summary.textContent = report.abandoned
+    ? `${report.abandoned} video${report.abandoned === 1 ? '' : 's'} started and dropped in the last ${SAMPLED_RETENTION_DAYS} days, ${formatPercent(report.rate * 100)} of starts. Typical drop-off at ${formatPercent(report.medianDropOff)}.`
+    : `Nothing started and dropped in the last ${SAMPLED_RETENTION_DAYS} days.`;
+  const tallest = Math.max(1, ...report.dropOffBuckets);
+  chart.innerHTML = report.dropOffBuckets.map((count, index) => {
+    const from = index * (100 / report.dropOffBuckets.length);
+    return `<div class="drop-off-bar" title="Stopped at ${from}–${from + 100 / report.dropOffBuckets.length}%: ${count}" style="height:${(count / tallest) * 100}%"></div>`;
+  }).join('');
+  byChannel.innerHTML = renderAbandonmentRows(report.byChannel);
+  byCategory.innerHTML = renderAbandonmentRows(report.byCategory);
+  list.innerHTML = state.abandoned.length
+    ? state.abandoned.slice(0, ABANDONED_LIST_LIMIT).map((entry) => `<li>
+      <span>${safeMarkdown(entry.title)} · ${safeMarkdown(channelOf(entry).name)} · stopped at ${formatPercent(entry.watchPercent || 0)}, ${formatDate(entry.watchedAt)}</span>
+      <button type="button" class="btn btn--ghost" data-action="promote" data-session-id="${escapeAttribute(entry.sessionId)}" data-profile-id="${escapeAttribute(entry.profileId)}">Add to history</button>
+    </li>`).join('')
+    : '<li class="muted">Nothing abandoned yet.</li>';
+};
+
+const handleAbandonmentClick = async (event) => {
+  const button = event.target.closest('[data-action="promote"]');
+  if (!button) return;
+  button.disabled = true;
+  try {
+    await promoteAbandonedSession(button.dataset.sessionId, button.dataset.profileId || null);
+    // WHY: a promoted video has no category yet; offer the same queue the Categorize button uses.
+    const canCategorize = state.settings.aiFeaturesEnabled && state.settings.openRouterApiKey;
+    showToast('Added to your history.', false, canCategorize ? { label: 'Categorize', onClick: handleCategorizePending } : null);
+  } catch (error) {
+    console.error('handleAbandonmentClick failed', error);
+    showToast(error.message || 'Unable to add it to your history.', true);
+    button.disabled = false;
+  }
+};
+
 const loadInitialData = async () => {
   try {
-    const [history, storedSettings] = await Promise.all([getHistory(), getSettings()]);
+    const [history, storedSettings, categories, channelRegistry, abandoned] = await Promise.all([
+      getHistory(),
+      getSettings(),
+      getCategories(),
+      getChannelRegistry(),
+      getAbandonedSessions()
+    ]);
     state.history = history;
+    state.channelRegistry = channelRegistry;
+    state.abandoned = abandoned;
+    setCategories(categories);
+    renderCategoryList();
+    renderChannelPanel();
+    renderAbandonmentPanel();
     const sanitizedSettings = sanitizeSettings(storedSettings, FORM_DEFAULTS);
     if (!areSettingsEqual(sanitizedSettings, storedSettings)) {
       await saveSettings(sanitizedSettings);
@@ -182,21 +740,53 @@ const loadInitialData = async () => {
 const initFilters = () => {
   populateChannelFilter();
   populateCategoryFilter();
+  populateTagFilter();
   document.getElementById('percentSlider').value = state.filters.minPercent;
   document.getElementById('percentValue').textContent = `${state.filters.minPercent}%`;
 };
 
+// WHY: options are keyed by resolved channel, so merged channels and renamed ones appear once.
 const populateChannelFilter = () => {
   const select = document.getElementById('channelFilter');
   if (!select) return;
-  const channels = Array.from(new Set(state.history.map((video) => video.channelName || 'Unknown'))).sort();
-  select.innerHTML = '<option value="all">All channels</option>' + channels.map((channel) => `<option value="${channel}">${channel}</option>`).join('');
+  const channels = listHistoryChannels();
+  if (!channels.some((channel) => channel.key === state.filters.channel)) {
+    state.filters.channel = 'all';
+  }
+  select.innerHTML = '<option value="all">All channels</option>' + channels.map((channel) => `<option value="${escapeAttribute(channel.key)}">${safeMarkdown(channelLabel(channel))}</option>`).join('');
+  select.value = state.filters.channel;
 };
 
+// WHY: imported or synced records can carry labels that are not in the user's list; keep them filterable.
 const populateCategoryFilter = () => {
   const select = document.getElementById('categoryFilter');
   if (!select) return;
-  select.innerHTML = '<option value="all">All categories</option>' + VIDEO_CATEGORIES.map((category) => `<option value="${category}">${category}</option>`).join('');
+  const names = state.categories.map((category) => category.name);
+  const extra = state.history.map((video) => video.aiCategory).filter((name) => name && name !== UNCATEGORIZED && !names.includes(name));
+  const options = [...names, ...new Set(extra), UNCATEGORIZED];
+  if (!options.includes(state.filters.category)) {
+    state.filters.category = 'all';
+  }
+  select.innerHTML = '<option value="all">All categories</option>' + options.map((category) => `<option value="${escapeAttribute(category)}">${safeMarkdown(category)}</option>`).join('');
+  select.value = state.filters.category;
+  const drawerSelect = document.querySelector('#videoDrawerForm [name="drawerCategory"]');
+  if (drawerSelect) {
+    drawerSelect.innerHTML = '<option value="">Let AI decide</option>' + names.map((category) => `<option value="${escapeAttribute(category)}">${safeMarkdown(category)}</option>`).join('');
+  }
+};
+
+// WHY: tags change while the dashboard is open, so the list is rebuilt and a
+// selection whose tag no longer exists falls back to every tag.
+const populateTagFilter = () => {
+  const select = document.getElementById('tagFilter');
+  if (!select) return;
+  const tags = collectTags(state.history);
+  if (!tags.includes(state.filters.tag)) {
+    state.filters.tag = 'all';
+  }
+  select.innerHTML = '<option value="all">All tags</option>' + tags.map((tag) => `<option>${safeMarkdown(tag)}</option>`).join('');
+  select.value = state.filters.tag;
+  document.getElementById('videoTagNames').innerHTML = tags.map((tag) => `<option>${safeMarkdown(tag)}</option>`).join('');
 };
 
 const bindEvents = () => {
@@ -215,6 +805,21 @@ const bindEvents = () => {
     refreshHistory();
   });
 
+  document.getElementById('tagFilter')?.addEventListener('change', (event) => {
+    state.filters.tag = event.target.value;
+    refreshHistory();
+  });
+
+  document.getElementById('sourceFilter')?.addEventListener('change', (event) => {
+    state.filters.source = event.target.value;
+    refreshHistory();
+  });
+
+  document.getElementById('contentTypeFilter')?.addEventListener('change', (event) => {
+    state.filters.contentType = event.target.value;
+    refreshHistory();
+  });
+
   document.getElementById('dateStart')?.addEventListener('change', (event) => {
     state.filters.dateStart = event.target.value;
     refreshHistory();
@@ -255,19 +860,55 @@ const bindEvents = () => {
   document.getElementById('regenerateReport')?.addEventListener('click', () => handleGenerateReport(true));
   document.getElementById('closeReport')?.addEventListener('click', () => toggleReportPanel(false));
 
-  document.getElementById('exportJson')?.addEventListener('click', exportJson);
-  document.getElementById('exportCsv')?.addEventListener('click', exportCsv);
+  document.getElementById('openExport')?.addEventListener('click', openExportDialog);
+  document.getElementById('exportForm')?.addEventListener('change', renderExportOptions);
+  document.getElementById('exportDialog')?.addEventListener('close', handleExportDialogClose);
   document.getElementById('importInput')?.addEventListener('change', handleImport);
+  document.getElementById('importDialog')?.addEventListener('close', handleImportDialogClose);
 
   document.getElementById('videoGrid')?.addEventListener('click', handleVideoGridClick);
+  document.getElementById('videoGrid')?.addEventListener('change', handleVideoNoteChange);
+  document.getElementById('videoDrawer')?.addEventListener('close', handleVideoDrawerClose);
   document.getElementById('categorySidebar')?.addEventListener('click', handleCategorySidebarClick);
 
   document.getElementById('settingsForm')?.addEventListener('submit', handleSettingsSubmit);
   document.getElementById('toggleKey')?.addEventListener('click', toggleApiKeyVisibility);
   document.getElementById('testApiKey')?.addEventListener('click', testApiKeyConnection);
   document.getElementById('clearData')?.addEventListener('click', handleClearData);
+  document.getElementById('syncNow')?.addEventListener('click', handleSyncNow);
+  document.getElementById('profileView')?.addEventListener('change', handleProfileViewChange);
+  document.getElementById('profilesForm')?.addEventListener('submit', handleProfilesSubmit);
+  document.getElementById('categoriesForm')?.addEventListener('submit', handleCategoriesSubmit);
+  document.getElementById('categoryList')?.addEventListener('click', (event) => {
+    if (event.target.dataset.action === 'remove-category') {
+      event.target.closest('.category-row')?.remove();
+    }
+  });
+  document.getElementById('addCategory')?.addEventListener('click', () => {
+    document.getElementById('categoryList')?.insertAdjacentHTML('beforeend', renderCategoryRow());
+  });
+  document.getElementById('channelMergeForm')?.addEventListener('submit', handleChannelMergeSubmit);
+  document.getElementById('channelsPanel')?.addEventListener('click', handleChannelPanelClick);
+  document.getElementById('abandonmentPanel')?.addEventListener('click', handleAbandonmentClick);
+  document.getElementById('profileList')?.addEventListener('click', handleProfileListClick);
+  document.getElementById('addProfile')?.addEventListener('click', () => {
+    document.getElementById('profileList')?.insertAdjacentHTML('beforeend', renderProfileRow());
+  });
+  document.getElementById('openTrash')?.addEventListener('click', openTrashView);
+  document.getElementById('compactForm')?.addEventListener('submit', handleCompactStorage);
+  document.getElementById('settingRetention')?.addEventListener('change', toggleRetentionDaysField);
+  document.getElementById('retentionOverrides')?.addEventListener('click', handleOverrideListClick);
+  document.getElementById('addRetentionOverride')?.addEventListener('click', () => {
+    document.getElementById('retentionOverrides')?.insertAdjacentHTML('beforeend', renderOverrideRow());
+  });
+  document.getElementById('trashList')?.addEventListener('click', handleTrashListClick);
+  document.getElementById('emptyTrash')?.addEventListener('click', handleEmptyTrash);
 };
 
+// WHY: in the merged view the same video can appear once per profile.
+const findCardVideo = (card) => state.history.find((video) => video.videoId === card.dataset.videoId
+  && (!card.dataset.profileId || video.profileId === card.dataset.profileId));
+
 const handleVideoGridClick = (event) => {
   const { target } = event;
   const card = target.closest('[data-video-id]');
@@ -278,7 +919,124 @@ const handleVideoGridClick = (event) => {
     return;
   }
   if (target.matches('[data-action="rewatch"]')) {
-    window.open(`https://www.youtube.com/watch?v=${videoId}`, '_blank');
+    window.open(getWatchUrl(findCardVideo(card) || { videoId }), '_blank');
+    return;
+  }
+  if (target.matches('[data-action="tag"]')) {
+    state.filters.tag = target.textContent;
+    document.getElementById('tagFilter').value = state.filters.tag;
+    refreshHistory();
+    return;
+  }
+  const video = findCardVideo(card);
+  if (!video) return;
+  if (target.matches('[data-action="rate"]')) {
+    const rating = Number(target.dataset.rating);
+    // WHY: clicking the current rating again clears it.
+    saveVideoAnnotations(video, { rating: video.rating === rating ? null : rating });
+    return;
+  }
+  if (target.matches('[data-action="details"]')) {
+    openVideoDrawer(video);
+  }
+};
+
+const handleVideoNoteChange = (event) => {
+  if (!event.target.matches('textarea[name="note"]')) return;
+  const video = findCardVideo(event.target.closest('[data-video-id]'));
+  if (video) {
+    saveVideoAnnotations(video, { note: event.target.value.trim() });
+  }
+};
+
+/**
+ * @param {object} video record from state.history (carries profileId in the merged view)
+ * @param {{note?: string, rating?: number|null, tags?: string[]}} updates
+ * @returns {Promise<boolean>} true once the record is updated
+ */
+const saveVideoAnnotations = async (video, updates) => {
+  try {
+    const saved = await updateVideo(video.videoId, updates, video.profileId || null);
+    if (!saved) {
+      showToast('This video is no longer in your history.', true);
+      return false;
+    }
+    Object.assign(video, updates);
+    populateTagFilter();
+    refreshHistory();
+    return true;
+  } catch (error) {
+    console.error('saveVideoAnnotations failed', error);
+    showToast('Unable to save changes.', true);
+    return false;
+  }
+};
+
+// WHY: only videos watched with a player response carry these; older ones show nothing.
+const describeVideoDetails = (video) => [
+  video.publishedAt ? `Published ${new Date(video.publishedAt).toLocaleDateString(undefined, { dateStyle: 'medium' })}` : null,
+  Number.isFinite(video.viewCount) ? `${video.viewCount.toLocaleString()} views` : null,
+  video.youtubeCategory ? `YouTube: ${video.youtubeCategory}` : null,
+  video.language ? `Language: ${video.language}` : null,
+  video.chapters?.length ? `${video.chapters.length} chapters` : null,
+  video.madeForKids ? 'Made for kids' : null
+].filter(Boolean).join(' · ');
+
+const renderChapterProgress = (chapterProgress) => chapterProgress.map((chapter) => `<li class="chapter-row">
+    <span class="chapter-status chapter-status--${chapter.status}">${CHAPTER_STATUS_LABELS[chapter.status]}</span>
+    <span>${formatDuration(chapter.start)} · ${safeMarkdown(chapter.title || 'Untitled chapter')}</span>
+    <span>${formatPercent(chapter.coveragePercent)}${chapter.playedSeconds > chapter.coveredSeconds ? ` · ${formatDuration(chapter.playedSeconds)} played` : ''}</span>
+  </li>`).join('');
+
+const openVideoDrawer = (video) => {
+  const dialog = document.getElementById('videoDrawer');
+  const form = document.getElementById('videoDrawerForm');
+  if (!dialog || !form) return;
+  state.drawerVideo = video;
+  const sessions = getVideoSessions(video).sort((a, b) => b.endedAt.localeCompare(a.endedAt));
+  const channel = channelOf(video);
+  const formerNames = (state.channelRegistry.channels[channel.key]?.names || [])
+    .map((entry) => entry.name)
+    .filter((name) => name !== channel.name);
+  document.getElementById('videoDrawerChannel').textContent = `${channelLabel(channel)}${formerNames.length ? ` · formerly ${formerNames.join(', ')}` : ''}`;
+  document.getElementById('videoDrawerTitle').textContent = video.title || video.videoId;
+  document.getElementById('videoDrawerMeta').textContent = `${video.aiCategory || 'Uncategorized'} · ${formatDuration(video.watchedDuration || 0)} watched of ${video.totalDuration ? formatDuration(video.totalDuration) : 'a live stream'}${video.liveWatchedSeconds ? ` (${formatDuration(video.liveWatchedSeconds)} live)` : ''}`;
+  const details = document.getElementById('videoDrawerDetails');
+  details.textContent = describeVideoDetails(video);
+  details.hidden = !details.textContent;
+  document.getElementById('videoDrawerThumb').src = getThumbnailUrl(video);
+  const chapterProgress = video.chapterProgress || [];
+  const chapterCounts = countChapters(chapterProgress);
+  document.getElementById('videoDrawerChaptersSection').hidden = !chapterProgress.length;
+  document.getElementById('videoDrawerChaptersSummary').textContent = `Chapters (${chapterCounts.done} of ${chapterProgress.length} completed${chapterCounts.skipped ? `, ${chapterCounts.skipped} skipped` : ''}${chapterCounts.rewatched ? `, ${chapterCounts.rewatched} rewatched` : ''})`;
+  document.getElementById('videoDrawerChapters').innerHTML = renderChapterProgress(chapterProgress);
+  document.getElementById('videoDrawerSessions').innerHTML = sessions.map((session) => `<li>
+    ${formatDate(session.endedAt)}${safeMarkdown(formatSource(session.source))}${session.loopCount ? ` · looped ${session.loopCount}×` : ''} · ${session.unverified ? 'watch time unknown' : session.isLive ? `${formatDuration(session.watchedSeconds || 0)} live` : `${formatDuration(session.watchedSeconds || 0)} (${formatPercent(session.watchPercent || 0)})`}${session.playbackRate && session.playbackRate !== 1 ? ` · ${session.playbackRate}× for ${formatDuration(session.spentSeconds || 0)}` : ''}${session.autoplay ? ' · autoplay' : ''}
+  </li>`).join('');
+  form.elements.drawerCategory.value = video.categoryLocked ? video.aiCategory : '';
+  form.elements.drawerRating.value = video.rating ? String(video.rating) : '';
+  form.elements.drawerTags.value = (video.tags || []).join(', ');
+  form.elements.drawerNote.value = video.note || '';
+  dialog.returnValue = '';
+  dialog.showModal();
+};
+
+const handleVideoDrawerClose = async (event) => {
+  const video = state.drawerVideo;
+  state.drawerVideo = null;
+  if (!video || event.target.returnValue !== 'save') return;
+  const form = new FormData(document.getElementById('videoDrawerForm'));
+  const category = form.get('drawerCategory') || null;
+  // WHY: leaving "Let AI decide" on an unlocked video keeps whatever AI already chose.
+  const categoryChanged = category ? category !== video.aiCategory || !video.categoryLocked : video.categoryLocked;
+  const saved = await saveVideoAnnotations(video, {
+    ...(categoryChanged ? buildCategoryOverride(category) : {}),
+    rating: normalizeRating(form.get('drawerRating')),
+    tags: normalizeTags(form.get('drawerTags')),
+    note: String(form.get('drawerNote') || '').trim()
+  });
+  if (saved) {
+    showToast('Video details saved.');
   }
 };
 
@@ -343,18 +1101,36 @@ const handleSettingsSubmit = async (event) => {
   const rawSettings = {
     minWatchPercent: Number(formData.get('settingWatchPercent')),
     minWatchTimeSeconds: Number.isFinite(minutes) ? minutes * 60 : NaN,
+    watchTimeBasis: formData.get('settingWatchTimeBasis'),
+    trackShorts: formData.get('settingTrackShorts'),
+    shortsMinWatchPercent: Number(formData.get('settingShortsPercent')),
+    shortsMinWatchSeconds: Number(formData.get('settingShortsSeconds')),
+    trackMusic: formData.get('settingTrackMusic'),
+    musicMinWatchPercent: Number(formData.get('settingMusicPercent')),
+    musicMinWatchSeconds: Number(formData.get('settingMusicSeconds')),
     trackAutoplay: formData.get('settingTrackAutoplay'),
+    trackAbandoned: formData.get('settingTrackAbandoned'),
     countHiddenTime: formData.get('settingHiddenTime'),
     dataRetention: formData.get('settingRetention'),
+    retentionDays: Number(formData.get('settingRetentionDays')),
+    retentionMode: formData.get('settingRetentionMode'),
+    retentionOverrides: readOverrideRows(form),
+    trashRetentionDays: formData.get('settingTrashRetention'),
     aiFeaturesEnabled: formData.get('settingAiEnabled'),
     openRouterApiKey: formData.get('settingApiKey'),
-    trackingEnabled: state.settings.trackingEnabled
+    trackingEnabled: state.settings.trackingEnabled,
+    syncEnabled: formData.get('settingSyncEnabled'),
+    syncApiKey: formData.get('settingSyncApiKey'),
+    syncHistoryDigest: formData.get('settingSyncHistoryDigest')
   };
   try {
     const sanitized = sanitizeSettings(rawSettings, state.settings);
     await saveSettings(sanitized);
-    state.settings = sanitized;
+    // WHY: saving also pulls newer fields from other devices, so show what was actually stored.
+    state.settings = sanitizeSettings(await getSettings(), FORM_DEFAULTS);
     populateSettingsForm();
+    // WHY: publishes the digest when turned on and removes it from sync when turned off.
+    await pushHistoryDigest().catch(() => {});
     showToast('Settings saved.');
   } catch (error) {
     console.error('saveSettings failed', error);
@@ -362,6 +1138,66 @@ const handleSettingsSubmit = async (event) => {
   }
 };
 
+const handleSyncNow = async () => {
+  setButtonLoading('syncNow', true, 'Syncing…');
+  try {
+    const pulled = await syncSettings();
+    const shared = await pushHistoryDigest();
+    const merged = await mergeRemoteDigests();
+    state.settings = sanitizeSettings(await getSettings(), FORM_DEFAULTS);
+    populateSettingsForm();
+    const parts = [
+      pulled.length ? `${pulled.length} setting(s) updated` : 'settings up to date',
+      state.settings.syncHistoryDigest ? `${shared} video(s) shared, ${merged} watch(es) merged` : ''
+    ].filter(Boolean);
+    showToast(`Synced: ${parts.join('; ')}.`);
+  } catch (error) {
+    console.error('handleSyncNow failed', error);
+    showToast('Sync failed. Check that you are signed in to browser sync.', true);
+  } finally {
+    setButtonLoading('syncNow', false);
+  }
+};
+
+const renderOverrideRow = (rule = { type: 'category', name: '', days: null }) => `<div class="override-row">
+  <select name="overrideType" aria-label="Override applies to">
+    <option value="category" ${rule.type === 'category' ? 'selected' : ''}>Category</option>
+    <option value="channel" ${rule.type === 'channel' ? 'selected' : ''}>Channel</option>
+  </select>
+  <input type="text" name="overrideName" list="retentionOverrideNames" placeholder="Education, a channel name…" value="${escapeAttribute(rule.name)}" aria-label="Category or channel" />
+  <input type="number" name="overrideDays" min="1" max="3650" placeholder="Forever" value="${escapeAttribute(rule.days ?? '')}" aria-label="Days to keep" />
+  <button type="button" class="btn btn--ghost" data-action="remove-override">Remove</button>
+</div>`;
+
+const renderRetentionOverrides = () => {
+  const list = document.getElementById('retentionOverrides');
+  const names = document.getElementById('retentionOverrideNames');
+  if (!list || !names) return;
+  list.innerHTML = state.settings.retentionOverrides.map(renderOverrideRow).join('');
+  const channels = new Set(state.history.map((video) => video.channelName).filter(Boolean));
+  names.innerHTML = [...state.categories.map((category) => category.name), UNCATEGORIZED, ...channels]
+    .map((name) => `<option value="${escapeAttribute(name)}"></option>`)
+    .join('');
+};
+
+// WHY: rows are plain form controls, so read them in DOM order and let sanitizeSettings drop blanks.
+const readOverrideRows = (form) => Array.from(form.querySelectorAll('.override-row')).map((row) => ({
+  type: row.querySelector('[name="overrideType"]').value,
+  name: row.querySelector('[name="overrideName"]').value,
+  days: row.querySelector('[name="overrideDays"]').value || null
+}));
+
+const handleOverrideListClick = (event) => {
+  if (event.target.matches('[data-action="remove-override"]')) {
+    event.target.closest('.override-row')?.remove();
+  }
+};
+
+const toggleRetentionDaysField = () => {
+  const field = document.getElementById('settingRetentionDaysField');
+  if (field) field.hidden = document.getElementById('settingRetention')?.value !== 'custom';
+};
+
 const toggleApiKeyVisibility = () => {
   const input = document.getElementById('settingApiKey');
   const button = document.getElementById('toggleKey');
@@ -397,46 +1233,370 @@ const testApiKeyConnection = async () => {
   }
 };
 
+const STORAGE_KIND_LABELS = {
+  videos: 'Video records',
+  sessions: 'Watch sessions',
+  thumbnails: 'Thumbnail URLs',
+  reports: 'Reports',
+  archive: 'Monthly archive',
+  trash: 'Trash',
+  sampled: 'Abandoned samples'
+};
+
+const renderStoragePanel = async () => {
+  const summary = document.getElementById('storageSummary');
+  const kindsEl = document.getElementById('storageKinds');
+  if (!summary || !kindsEl) return;
+  try {
+    const report = await getStorageReport();
+    const largest = Math.max(1, ...Object.values(report.kinds));
+    kindsEl.innerHTML = Object.entries(report.kinds).map(([kind, bytes]) => `<div class="storage-kind">
+      <p class="storage-kind__label">${STORAGE_KIND_LABELS[kind] || kind}</p>
+      <strong>${formatBytes(bytes)}</strong>
+      <div class="storage-kind__bar" style="width:${Math.max(2, Math.round((bytes / largest) * 100))}%"></div>
+    </div>`).join('');
+    const used = report.quota
+      ? `${formatBytes(report.usage)} of ${formatBytes(report.quota)} used (${formatPercent(report.ratio * 100)}).`
+      : 'Quota information is unavailable in this browser.';
+    const outlook = report.fullAt
+      ? ` At ~${formatBytes(report.bytesPerDay)}/day the quota fills around ${formatDate(report.fullAt)}.`
+      : ' Not enough recent activity to project growth.';
+    summary.textContent = `${used}${outlook}`;
+    summary.classList.toggle('storage-summary--warning', report.level !== 'ok');
+  } catch (error) {
+    console.error('renderStoragePanel failed', error);
+    summary.textContent = 'Unable to measure storage.';
+  }
+};
+
+const handleCompactStorage = async (event) => {
+  event.preventDefault();
+  const form = new FormData(event.target);
+  try {
+    setButtonLoading('compactStorage', true, 'Compacting…');
+    const { compacted, archived, bytesSaved } = await compactStorage({
+      dropThumbnails: form.get('compactThumbnails') === 'on',
+      trimSessionsDays: Number(form.get('compactSessionsDays')) || null,
+      archiveDays: Number(form.get('compactArchiveDays')) || null
+    });
+    showToast(`Compacted ${compacted} videos, archived ${archived} sessions, freed ~${formatBytes(bytesSaved)}.`);
+    await renderStoragePanel();
+  } catch (error) {
+    console.error('compactStorage failed', error);
+    showToast('Compaction failed', true);
+  } finally {
+    setButtonLoading('compactStorage', false);
+  }
+};
+
 const handleClearData = async () => {
-  if (!confirm('This deletes all stored history and reports. Continue?')) return;
+  const days = state.settings.trashRetentionDays;
+  if (!confirm(`This clears all stored history and reports. You can restore them from Trash for ${days} days. Continue?`)) return;
   try {
-    await replaceHistory([]);
+    const trashId = await moveAllToTrash();
     state.history = [];
     refreshHistory();
-    showToast('Data cleared.');
+    showToast('Data cleared.', false, trashId ? { label: 'Undo', onClick: () => undoDelete(trashId) } : null);
   } catch (error) {
     console.error('clearData failed', error);
     showToast('Failed to clear data', true);
   }
 };
 
+const undoDelete = async (trashId) => {
+  try {
+    const restored = await restoreFromTrash(trashId);
+    await loadInitialData();
+    await loadReportCache();
+    renderAll();
+    showToast(`Restored ${restored} video${restored === 1 ? '' : 's'}.`);
+  } catch (error) {
+    console.error('undoDelete failed', error);
+    showToast(`Undo failed: ${error.message}`, true);
+  }
+};
+
+const openTrashView = async () => {
+  // WHY: no background alarm is guaranteed to have run, so expire old entries before listing.
+  await purgeExpiredTrash();
+  await renderTrashList();
+  document.getElementById('trashDialog')?.showModal();
+};
+
+const renderTrashList = async () => {
+  const entries = await getTrash();
+  const days = state.settings.trashRetentionDays;
+  document.getElementById('trashSummary').textContent = entries.length
+    ? `Items are deleted for good ${days} days after they were removed.`
+    : 'Trash is empty.';
+  document.getElementById('emptyTrash').disabled = !entries.length;
+  document.getElementById('trashList').innerHTML = entries.map((entry) => {
+    const purgeAt = new Date(Date.parse(entry.deletedAt) + days * DAY_MS).toISOString();
+    return `<li class="trash-item" data-trash-id="${escapeAttribute(entry.trashId)}">
+      <div>
+        <strong>${safeMarkdown(entry.label)}</strong>
+        <p class="trash-item__meta">Deleted ${formatDate(entry.deletedAt)} · ${entry.count} video${entry.count === 1 ? '' : 's'} · purges ${formatDate(purgeAt)}</p>
+      </div>
+      <div class="trash-item__actions">
+        <button type="button" class="btn btn--secondary" data-action="restore">Restore</button>
+        <button type="button" class="btn btn--danger" data-action="purge">Delete forever</button>
+      </div>
+    </li>`;
+  }).join('');
+};
+
+const handleTrashListClick = async (event) => {
+  const item = event.target.closest('[data-trash-id]');
+  const action = event.target.dataset.action;
+  if (!item || !action) return;
+  const { trashId } = item.dataset;
+  try {
+    if (action === 'restore') {
+      await undoDelete(trashId);
+    } else if (action === 'purge') {
+      await purgeTrash(trashId);
+      showToast('Deleted permanently.');
+    }
+    await renderTrashList();
+  } catch (error) {
+    console.error('trash action failed', error);
+    showToast('Trash action failed', true);
+  }
+};
+
+const handleEmptyTrash = async () => {
+  if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+  try {
+    await purgeTrash();
+    await renderTrashList();
+    showToast('Trash emptied.');
+  } catch (error) {
+    console.error('emptyTrash failed', error);
+    showToast('Failed to empty trash', true);
+  }
+};
+
 const handleImport = async (event) => {
   const file = event.target.files?.[0];
   if (!file) return;
   try {
-    const text = await file.text();
-    const parsed = JSON.parse(text);
-    await importHistory(parsed);
-    await loadInitialData();
-    renderAll();
-    showToast('Import complete.');
+    const imported = await readImportFile(file);
+    if (!imported) return;
+    const { data, skipped, takeout, extras } = imported;
+    const preview = await previewImport(data);
+    preview.rejected = [...skipped, ...preview.rejected];
+    state.pendingImport = { data, preview, takeout, extras, fileName: file.name };
+    renderImportPreview();
+    document.getElementById('importDialog')?.showModal();
   } catch (error) {
     console.error('import failed', error);
-    showToast('Import failed. Ensure JSON is valid.', true);
+    showToast(error instanceof SyntaxError ? 'Import failed. Ensure JSON is valid.' : `Import failed: ${error.message}`, true);
   } finally {
     event.target.value = '';
   }
 };
 
-const exportJson = async () => {
-  const data = await exportHistory();
-  downloadFile(JSON.stringify(data, null, 2), 'yt-true-history.json', 'application/json');
+/**
+ * Detects the upload format: this extension's JSON, CSV, or encrypted backup,
+ * or a Google Takeout watch-history.json / watch-history.html.
+ * @param {File} file
+ * @returns {Promise<{data: object|object[], skipped: object[], takeout: boolean, extras?: object}|null>} import payload, null if the passphrase prompt was cancelled
+ */
+const readImportFile = async (file) => {
+  const text = await file.text();
+  if (file.name.endsWith('.csv')) {
+    return { data: buildImportEnvelope(parseCsvHistory(text)), skipped: [], takeout: false };
+  }
+  if (file.name.endsWith('.html') || text.trimStart().startsWith('<')) {
+    const { videos, skipped } = parseTakeoutHtml(new DOMParser().parseFromString(text, 'text/html'));
+    if (!videos.length && !skipped.length) {
+      throw new Error('No Takeout watch entries found in this HTML file');
+    }
+    return { data: buildImportEnvelope(videos), skipped, takeout: true };
+  }
+  const parsed = JSON.parse(text);
+  if (isEncryptedBackup(parsed)) {
+    const passphrase = await askPassphrase();
+    if (passphrase === null) return null;
+    const { settings, reportCache, ...data } = await decryptBackup(parsed, passphrase);
+    return { data, skipped: [], takeout: false, extras: settings || reportCache ? { settings, reportCache } : null };
+  }
+  if (isTakeoutHistory(parsed)) {
+    const { videos, skipped } = parseTakeoutJson(parsed);
+    return { data: buildImportEnvelope(videos), skipped, takeout: true };
+  }
+  return { data: parsed, skipped: [], takeout: false };
 };
 
-const exportCsv = async () => {
-  const data = await exportHistory();
-  const csv = buildCsv(data, ['videoId', 'title', 'channelName', 'watchedAt', 'watchedDuration', 'totalDuration', 'watchPercent', 'aiCategory']);
-  downloadFile(csv, 'yt-true-history.csv', 'text/csv');
+/**
+ * @returns {Promise<string|null>} passphrase typed into the unlock dialog, null on cancel
+ */
+const askPassphrase = () => new Promise((resolve) => {
+  const dialog = document.getElementById('passphraseDialog');
+  const form = document.getElementById('passphraseForm');
+  form.reset();
+  dialog.addEventListener('close', () => {
+    const passphrase = new FormData(form).get('importPassphrase');
+    form.reset();
+    resolve(dialog.returnValue === 'confirm' && passphrase ? passphrase : null);
+  }, { once: true });
+  dialog.showModal();
+});
+
+// PATTERN: Dry run first — nothing is written until the user confirms the preview.
+const renderImportPreview = () => {
+  const { preview, fileName, takeout, extras } = state.pendingImport;
+  const { counts, entries, rejected } = preview;
+  document.getElementById('importFileName').textContent = takeout ? `${fileName} · Google Takeout (imported as unverified)` : fileName;
+  document.getElementById('importQueueAiField').hidden = !takeout;
+  document.getElementById('importRestoreExtrasField').hidden = !extras;
+  if (extras) {
+    const parts = [extras.settings && 'settings (including the API key)', extras.reportCache && 'weekly report'].filter(Boolean);
+    document.getElementById('importRestoreExtrasLabel').textContent = `Also restore ${parts.join(' and ')} from this backup`;
+  }
+  document.getElementById('importCounts').innerHTML = [
+    ['New', counts.new],
+    ['Updated', counts.updated],
+    ['Conflicting', counts.conflict],
+    ['Unchanged', counts.unchanged],
+    ['Rejected', rejected.length]
+  ].map(([label, value]) => `<span class="import-count">${label} <strong>${value}</strong></span>`).join('');
+
+  const conflicts = entries.filter((entry) => entry.outcome === 'conflict');
+  document.getElementById('importConflictDetails').hidden = !conflicts.length;
+  document.getElementById('importConflicts').innerHTML = conflicts.slice(0, IMPORT_PREVIEW_LIMIT).map((entry) => `<li>
+    ${safeMarkdown(entry.title || entry.videoId)} — ${safeMarkdown(entry.fields.join(', ') || 'older copy')}
+    · mine ${formatDate(entry.mine.watchedAt)} ×${entry.mine.rewatchCount || 1}
+    · theirs ${formatDate(entry.theirs.watchedAt)} ×${entry.theirs.rewatchCount || 1}
+  </li>`).join('') + (conflicts.length > IMPORT_PREVIEW_LIMIT ? `<li>…and ${conflicts.length - IMPORT_PREVIEW_LIMIT} more</li>` : '');
+
+  document.getElementById('importRejectedDetails').hidden = !rejected.length;
+  document.getElementById('importRejected').innerHTML = rejected.slice(0, IMPORT_PREVIEW_LIMIT).map((row) => `<li>
+    Row ${row.row}${row.videoId ? ` (${safeMarkdown(row.videoId)})` : ''}: ${safeMarkdown(row.reasons.join('; '))}
+  </li>`).join('') + (rejected.length > IMPORT_PREVIEW_LIMIT ? `<li>…and ${rejected.length - IMPORT_PREVIEW_LIMIT} more</li>` : '');
+
+  const confirmButton = document.getElementById('confirmImport');
+  if (confirmButton) {
+    confirmButton.disabled = !(counts.new + counts.updated + counts.conflict) && !extras;
+  }
+};
+
+const handleImportDialogClose = async (event) => {
+  const pending = state.pendingImport;
+  state.pendingImport = null;
+  if (!pending || event.target.returnValue !== 'confirm') return;
+  const strategy = new FormData(document.getElementById('importForm')).get('importStrategy');
+  const queueAi = pending.takeout && document.getElementById('importQueueAi')?.checked;
+  const restoreExtras = pending.extras && document.getElementById('importRestoreExtras')?.checked;
+  try {
+    const result = await importHistory(pending.data, { strategy });
+    const restored = restoreExtras ? await restoreBackupExtras(pending.extras) : [];
+    await loadInitialData();
+    renderAll();
+    if (restored.length) {
+      await loadReportCache();
+    }
+    const restoredNote = restored.length ? ` Restored ${restored.join(' and ')}.` : '';
+    showToast(`Imported ${result.new} new, ${result.updated} updated, ${result.conflict} conflict(s) resolved.${restoredNote}`);
+    if (queueAi && result.written) {
+      await handleCategorizePending();
+    }
+  } catch (error) {
+    console.error('import failed', error);
+    showToast(`Import failed: ${error.message}`, true);
+  }
+};
+
+const openExportDialog = () => {
+  const columns = document.getElementById('exportColumns');
+  if (columns && !columns.childElementCount) {
+    columns.innerHTML = EXPORT_COLUMNS.map((column) => `<label>
+      <input type="checkbox" name="exportColumns" value="${column.key}" ${DEFAULT_EXPORT_COLUMNS.includes(column.key) || column.required ? 'checked' : ''} ${column.required ? 'disabled' : ''} />
+      ${safeMarkdown(column.label)}
+    </label>`).join('');
+  }
+  renderExportOptions();
+  document.getElementById('exportDialog')?.showModal();
+};
+
+const renderExportOptions = () => {
+  const form = new FormData(document.getElementById('exportForm'));
+  const scope = form.get('exportScope');
+  document.getElementById('exportRange').hidden = scope !== 'range';
+  const format = form.get('exportFormat');
+  // WHY: JSON and encrypted backups keep every field, so the column picker only applies to tabular formats.
+  document.getElementById('exportColumnsField').disabled = format === EXPORT_FORMATS.JSON || format === EXPORT_FORMATS.ENCRYPTED;
+  document.getElementById('exportEncryptionField').hidden = format !== EXPORT_FORMATS.ENCRYPTED;
+  const summary = {
+    filtered: `${state.filtered.length} videos from the current filters`,
+    range: 'Videos last watched inside the chosen dates',
+    all: `All ${state.history.length} videos`
+  };
+  document.getElementById('exportSummary').textContent = summary[scope];
+};
+
+// WHY: date inputs name local days, while watchedAt is stored in UTC.
+const localMidnight = (day, addDays = 0) => {
+  const date = new Date(`${day}T00:00:00`);
+  date.setDate(date.getDate() + addDays);
+  return date;
+};
+
+const handleExportDialogClose = async (event) => {
+  if (event.target.returnValue !== 'confirm') return;
+  const form = new FormData(document.getElementById('exportForm'));
+  const scope = form.get('exportScope');
+  const start = form.get('exportStart');
+  const end = form.get('exportEnd');
+  const format = form.get('exportFormat');
+  const passphrase = form.get('exportPassphrase');
+  // WHY: passphrases never linger in the DOM after the dialog closes.
+  document.getElementById('exportForm').querySelectorAll('input[type="password"]').forEach((input) => {
+    input.value = '';
+  });
+  try {
+    if (format === EXPORT_FORMATS.ENCRYPTED && (!passphrase || passphrase !== form.get('exportPassphraseConfirm'))) {
+      showToast(passphrase ? 'Passphrases do not match.' : 'Enter a passphrase to encrypt the backup.', true);
+      return;
+    }
+    if (scope === 'range' && !start && !end) {
+      showToast('Pick a start or end date to export a range.', true);
+      return;
+    }
+    const exportScope = {
+      filtered: { videos: state.filtered },
+      // WHY: the end date is inclusive, so the bound is the last moment before the next local day.
+      range: {
+        start: start ? localMidnight(start).toISOString() : undefined,
+        end: end ? new Date(localMidnight(end, 1).getTime() - 1).toISOString() : undefined
+      },
+      all: {}
+    }[scope];
+    if (format === EXPORT_FORMATS.ENCRYPTED) {
+      const backup = await exportBackup(exportScope, {
+        includeSettings: form.get('exportIncludeSettings') === 'on',
+        includeReport: form.get('exportIncludeReport') === 'on'
+      });
+      const encrypted = await encryptBackup(backup, passphrase);
+      downloadFile(JSON.stringify(encrypted), 'yt-true-history.backup.json', 'application/json');
+      showToast(`Exported ${backup.videos.length} videos (encrypted).`);
+      return;
+    }
+    const envelope = await exportHistory(exportScope);
+    if (!envelope.videos.length) {
+      showToast('Nothing to export for that selection.', true);
+      return;
+    }
+    const { content, filename, type } = buildExportFile(envelope, {
+      format,
+      columns: form.getAll('exportColumns')
+    });
+    downloadFile(content, filename, type);
+    showToast(`Exported ${envelope.videos.length} videos.`);
+  } catch (error) {
+    console.error('export failed', error);
+    showToast(`Export failed: ${error.message}`, true);
+  }
 };
 
 const downloadFile = (content, filename, type) => {
@@ -451,10 +1611,10 @@ const downloadFile = (content, filename, type) => {
 
 const deleteVideoEntry = async (videoId) => {
   try {
-    await deleteVideo(videoId);
+    const trashId = await deleteVideo(videoId);
     state.history = state.history.filter((video) => video.videoId !== videoId);
     refreshHistory();
-    showToast('Video removed.');
+    showToast('Moved to trash.', false, trashId ? { label: 'Undo', onClick: () => undoDelete(trashId) } : null);
   } catch (error) {
     console.error('deleteVideoEntry failed', error);
     showToast('Unable to delete video.', true);
@@ -479,11 +1639,22 @@ const applyFilters = () => {
   }
   videos = filterByDateRange(videos, filters.dateStart, filters.dateEnd);
   if (filters.channel !== 'all') {
-    videos = videos.filter((video) => (video.channelName || 'Unknown') === filters.channel);
+    videos = videos.filter((video) => channelOf(video).key === filters.channel);
+  }
+  if (filters.contentType !== 'all') {
+    videos = videos.filter((video) => getContentType(video) === filters.contentType);
+  }
+  if (filters.source !== 'all') {
+    const wantUnverified = filters.source === 'unverified';
+    videos = videos.filter((video) => Boolean(video.unverified) === wantUnverified);
   }
   if (filters.category !== 'all') {
     videos = videos.filter((video) => (video.aiCategory || 'Uncategorized') === filters.category);
   }
+  if (filters.tag !== 'all') {
+    const wanted = filters.tag.toLowerCase();
+    videos = videos.filter((video) => (video.tags || []).some((tag) => tag.toLowerCase() === wanted));
+  }
   if (filters.minPercent > 0) {
     videos = videos.filter((video) => (video.watchPercent || 0) >= filters.minPercent);
   }
@@ -514,43 +1685,74 @@ const renderHistory = () => {
   count.textContent = `${state.filtered.length} videos`;
 };
 
+// WHY: a bar filled from 0 would hide the stretches that were skipped.
+const renderSegmentMap = (segments, duration) => {
+  const toPercent = (seconds) => Math.min(100, (seconds / duration) * 100).toFixed(2);
+  return `<div class="progress__track" title="${formatDuration(sumSegments(segments))} of ${formatDuration(duration)} played">
+    ${segments.map(([start, end]) => `<span class="progress__segment" style="left:${toPercent(start)}%; width:${(toPercent(end) - toPercent(start)).toFixed(2)}%"></span>`).join('')}
+  </div>`;
+};
+
 const buildVideoCard = (video) => {
   const card = document.createElement('article');
   card.className = 'video-card';
   card.dataset.videoId = video.videoId;
+  if (video.profileId) {
+    card.dataset.profileId = video.profileId;
+  }
   const category = video.aiCategory || 'Uncategorized';
-  const color = CATEGORY_COLOR_MAP[category] || '#888';
+  const rating = video.rating || 0;
+  const tags = video.tags || [];
+  const color = state.categoryColors[category] || '#888';
+  const chapterCounts = countChapters(video.chapterProgress);
   card.innerHTML = `
     <div class="video-card__thumb">
-      <img src="${video.thumbnail}" alt="${video.title}" />
+      <img src="${escapeAttribute(getThumbnailUrl(video))}" alt="${escapeAttribute(video.title)}" />
       <button class="video-card__watch" data-action="rewatch">Watch again</button>
+      ${CONTENT_TYPE_BADGES[getContentType(video)] || ''}
+      ${video.isLive ? `<span class="badge badge--live" title="${formatDuration(video.liveWatchedSeconds || 0)} watched live">Live</span>` : ''}
       ${video.autoplay ? '<span class="badge badge--warning">Autoplay</span>' : ''}
       ${video.rewatchCount > 1 ? `<span class="badge badge--info">Rewatched ×${video.rewatchCount}</span>` : ''}
+      ${video.unverified ? `<span class="badge badge--muted" title="${video.importSource === 'sync' ? 'Watched on another device' : 'Imported from Google Takeout'}; watch time unknown">Unverified</span>` : ''}
     </div>
     <div class="video-card__body">
       <div class="video-card__row">
-        <h3>${video.title}</h3>
-        <button class="icon-btn" data-action="delete" aria-label="Delete video">✕</button>
+        <h3>${safeMarkdown(video.title)}</h3>
+        <button class="icon-btn" data-action="delete" aria-label="Delete video" data-requires-profile>✕</button>
       </div>
-      <p class="video-card__channel">${video.channelName || 'Unknown'} · ${formatDate(video.watchedAt)}</p>
+      <p class="video-card__channel">${safeMarkdown(channelOf(video).name)} · ${formatDate(video.watchedAt)}${safeMarkdown(formatSource(video.source))}${state.mergedView ? ` · ${safeMarkdown(getProfileName(video.profileId))}` : ''}</p>
       <div class="progress">
-        <div class="progress__bar" style="width:${video.watchPercent}%"></div>
-        <span>${formatPercent(video.watchPercent)}</span>
+        ${video.watchedSegments?.length && video.totalDuration
+          ? renderSegmentMap(video.watchedSegments, video.totalDuration)
+          : `<div class="progress__bar" style="width:${video.watchPercent}%"></div>`}
+        <span>${video.unverified || !video.totalDuration ? '—' : formatPercent(video.watchPercent)}</span>
       </div>
       <div class="video-card__meta">
         <span>${formatDuration(video.watchedDuration || 0)} watched</span>
-        <span>${formatDuration(video.totalDuration || 0)} total</span>
+        <span>${!video.totalDuration && video.isLive ? 'live stream' : `${formatDuration(video.totalDuration || 0)} total`}</span>
+        ${video.chapterProgress?.length ? `<span>${chapterCounts.done}/${video.chapterProgress.length} chapters</span>` : ''}
+      </div>
+      <div class="video-card__row">
+        <span class="category-chip" style="--chip-color:${escapeAttribute(color)}"${video.categoryLocked ? ' title="Set by hand; AI will not change it"' : ''}>${video.categoryLocked ? '🔒 ' : ''}${safeMarkdown(category)}</span>
+        <div class="rating" role="group" aria-label="Rating">
+          ${[1, 2, 3, 4, 5].map((value) => `<button type="button" class="rating__star ${value <= rating ? 'rating__star--on' : ''}" data-action="rate" data-rating="${value}" aria-label="Rate ${value} of 5" aria-pressed="${value === rating}">★</button>`).join('')}
+        </div>
       </div>
-      <span class="category-chip" style="--chip-color:${color}">${category}</span>
+      ${tags.length ? `<div class="tag-list">${tags.map((tag) => `<button type="button" class="tag-chip" data-action="tag">${safeMarkdown(tag)}</button>`).join('')}</div>` : ''}
+      <textarea class="video-card__note" name="note" rows="2" placeholder="Add a note…" aria-label="Note">${safeMarkdown(video.note || '')}</textarea>
+      <button type="button" class="btn btn--ghost video-card__details" data-action="details">Details, tags &amp; sessions</button>
     </div>
   `;
   return card;
 };
 
+// WHY: Shorts have their own stats card, so the intentional-watch stats leave them out.
+const getIntentionalWatches = () => state.history.filter((video) => getContentType(video) === CONTENT_TYPES.VIDEO);
+
 const renderCategorySidebar = () => {
   const container = document.getElementById('categorySidebar');
   if (!container) return;
-  const breakdown = calculateCategoryBreakdown(state.history);
+  const breakdown = calculateCategoryBreakdown(getIntentionalWatches());
   const entries = Array.from(breakdown.entries()).sort((a, b) => b[1].count - a[1].count);
   container.innerHTML = `
     <div class="category-panel__header">
@@ -559,9 +1761,9 @@ const renderCategorySidebar = () => {
     </div>
     <div class="category-panel__list">
       ${entries.map(([category, data]) => {
-        const color = CATEGORY_COLOR_MAP[category] || '#777';
-        return `<button data-category="${category}" class="category-pill" style="--pill-color:${color}">
-          <span>${category}</span>
+        const color = state.categoryColors[category] || '#777';
+        return `<button data-category="${escapeAttribute(category)}" class="category-pill" style="--pill-color:${escapeAttribute(color)}">
+          <span>${safeMarkdown(category)}</span>
           <span>${data.count}</span>
         </button>`;
       }).join('')}
@@ -582,41 +1784,73 @@ const renderStats = async () => {
   totalsCard.innerHTML = `
     <h3>Total insight</h3>
     <p class="stat">${stats.totalVideos} videos</p>
+    <p class="muted">${stats.totalSessions} watch sessions</p>
     <p class="muted">${hours}h ${minutes}m intentional watch time</p>
+    ${stats.live.sessions ? `<p class="muted">Live: ${formatDuration(stats.live.liveSeconds)} across ${stats.live.count} stream${stats.live.count === 1 ? '' : 's'} (not in completion)</p>` : ''}
+    <p class="muted">Time spent ${formatDuration(stats.playback.spentSeconds)} · content consumed ${formatDuration(stats.playback.contentSeconds)}</p>
+    ${stats.playback.savedSeconds ? `<p class="muted">Speed-watching saved ${formatDuration(stats.playback.savedSeconds)} (avg ${stats.playback.averageRate.toFixed(2)}×)</p>` : ''}
     <p class="muted">Avg completion ${formatPercent(stats.avgWatchPercent)}</p>
-    ${stats.mostRewatched ? `<p class="muted">Most rewatched: ${stats.mostRewatched.title}</p>` : ''}
+    ${stats.unverifiedVideos ? `<p class="muted">${stats.unverifiedVideos} imported without watch data</p>` : ''}
+    ${stats.archived?.months ? `<p class="muted">Archived: ${stats.archived.sessions} sessions · ${formatDuration(stats.archived.watchSeconds)} across ${stats.archived.months} month${stats.archived.months === 1 ? '' : 's'}</p>` : ''}
+    ${stats.mostRewatched ? `<p class="muted">Most rewatched: ${safeMarkdown(stats.mostRewatched.title)}</p>` : ''}
   `;
 
-  const topChannels = calculateTopChannels(state.history);
-  topChannelsList.innerHTML = topChannels.length ? topChannels.map((entry) => `<li><span>${entry.channel}</span><span>${formatDuration(entry.watchTime)}</span></li>`).join('') : '<li class="muted">No data yet.</li>';
+  const watches = getIntentionalWatches();
+  const topChannels = calculateTopChannels(watches, 5, state.channelRegistry);
+  topChannelsList.innerHTML = topChannels.length ? topChannels.map((entry) => `<li><span>${safeMarkdown(entry.channel)}</span><span>${formatDuration(entry.watchTime)}</span></li>`).join('') : '<li class="muted">No data yet.</li>';
 
-  const breakdown = calculateCategoryBreakdown(state.history);
-  const totalVideos = Math.max(1, state.history.length);
+  const breakdown = calculateCategoryBreakdown(watches);
+  const totalVideos = Math.max(1, watches.length);
   categoryBars.innerHTML = Array.from(breakdown.entries()).map(([category, data]) => {
     const percent = Math.round((data.count / totalVideos) * 100);
-    const color = CATEGORY_COLOR_MAP[category] || '#555';
+    const color = state.categoryColors[category] || '#555';
     return `<div class="category-bar">
-      <div class="category-bar__fill" style="width:${percent}%; background:${color}"></div>
+      <div class="category-bar__fill" style="width:${percent}%; background:${escapeAttribute(color)}"></div>
       <div class="category-bar__label">
-        <span>${category}</span>
+        <span>${safeMarkdown(category)}</span>
         <span>${percent}%</span>
       </div>
     </div>`;
   }).join('');
 
-  const activity = calculateDailyActivity(state.history);
+  const activity = calculateDailyActivity(watches);
   activityChart.innerHTML = activity.map((day) => {
     const height = Math.min(100, (day.totalWatch / 3600) * 20);
     return `<div class="activity-bar" title="${day.dateKey}: ${formatDuration(day.totalWatch)}" style="height:${height}px"></div>`;
   }).join('');
+
+  const shortsCard = document.getElementById('shortsCard');
+  if (shortsCard) {
+    shortsCard.innerHTML = stats.shorts.count ? `
+      <h3>Shorts</h3>
+      <p class="stat">${stats.shorts.count} shorts</p>
+      <p class="muted">${stats.shorts.sessions} sessions · ${formatDuration(stats.shorts.spentSeconds)} spent</p>
+      <p class="muted">${stats.shorts.loops} replays</p>
+    ` : '<h3>Shorts</h3><p class="muted">No Shorts tracked yet.</p>';
+  }
+
+  const musicCard = document.getElementById('musicCard');
+  if (musicCard) {
+    // WHY: music tracking is opt-in, so the card stays out of the way until something is tracked.
+    musicCard.hidden = !stats.music.count;
+    musicCard.innerHTML = `
+      <h3>Music</h3>
+      <p class="stat">${stats.music.count} tracks</p>
+      <p class="muted">${stats.music.sessions} sessions · ${formatDuration(stats.music.spentSeconds)} listened</p>
+    `;
+  }
 };
 
 const loadReportCache = async () => {
   try {
     const cached = await getCachedReport();
+    state.report = cached;
     if (cached) {
-      state.report = cached;
       renderReportPanel();
+    } else {
+      // WHY: another profile may have no report yet; don't keep showing the previous one.
+      document.getElementById('reportMeta').textContent = '';
+      document.getElementById('reportContent').innerHTML = '';
     }
   } catch (error) {
     console.error('loadReportCache failed', error);
@@ -658,7 +1892,14 @@ const setButtonLoading = (id, loading, label) => {
   }
 };
 
-const showToast = (message, error = false) => {
+let toastTimer = null;
+
+/**
+ * @param {string} message
+ * @param {boolean} error
+ * @param {{label: string, onClick: () => void}|null} action inline button, e.g. Undo
+ */
+const showToast = (message, error = false, action = null) => {
   let toast = document.getElementById('toast');
   if (!toast) {
     toast = document.createElement('div');
@@ -667,8 +1908,21 @@ const showToast = (message, error = false) => {
   }
   toast.textContent = message;
   toast.className = `toast ${error ? 'toast--error' : ''}`;
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast__action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      toast.classList.remove('toast--visible');
+      action.onClick();
+    }, { once: true });
+    toast.appendChild(button);
+  }
   toast.classList.add('toast--visible');
-  setTimeout(() => toast.classList.remove('toast--visible'), 3000);
+  // WHY: a newer toast must not be hidden by an older toast's timer.
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toast.classList.remove('toast--visible'), action ? 8000 : 3000);
 };
 
 const populateSettingsForm = () => {
@@ -676,19 +1930,51 @@ const populateSettingsForm = () => {
   const settings = state.settings;
   const percentInput = document.getElementById('settingWatchPercent');
   const minutesInput = document.getElementById('settingWatchMinutes');
+  const basisSelect = document.getElementById('settingWatchTimeBasis');
+  const shortsSelect = document.getElementById('settingTrackShorts');
+  const shortsPercentInput = document.getElementById('settingShortsPercent');
+  const shortsSecondsInput = document.getElementById('settingShortsSeconds');
+  const musicSelect = document.getElementById('settingTrackMusic');
+  const musicPercentInput = document.getElementById('settingMusicPercent');
+  const musicSecondsInput = document.getElementById('settingMusicSeconds');
   const trackSelect = document.getElementById('settingTrackAutoplay');
+  const abandonedSelect = document.getElementById('settingTrackAbandoned');
   const hiddenSelect = document.getElementById('settingHiddenTime');
   const retentionSelect = document.getElementById('settingRetention');
+  const trashSelect = document.getElementById('settingTrashRetention');
+  const retentionDaysInput = document.getElementById('settingRetentionDays');
+  const retentionModeSelect = document.getElementById('settingRetentionMode');
   const aiSelect = document.getElementById('settingAiEnabled');
   const apiInput = document.getElementById('settingApiKey');
+  const syncSelect = document.getElementById('settingSyncEnabled');
+  const syncDigestSelect = document.getElementById('settingSyncHistoryDigest');
+  const syncKeySelect = document.getElementById('settingSyncApiKey');
 
   if (percentInput) percentInput.value = settings.minWatchPercent;
   if (minutesInput) minutesInput.value = Math.round((settings.minWatchTimeSeconds || FORM_DEFAULTS.minWatchTimeSeconds) / 60);
+  if (basisSelect) basisSelect.value = settings.watchTimeBasis;
+  if (shortsSelect) shortsSelect.value = String(settings.trackShorts);
+  if (shortsPercentInput) shortsPercentInput.value = settings.shortsMinWatchPercent;
+  if (shortsSecondsInput) shortsSecondsInput.value = settings.shortsMinWatchSeconds;
+  if (musicSelect) musicSelect.value = String(settings.trackMusic);
+  if (musicPercentInput) musicPercentInput.value = settings.musicMinWatchPercent;
+  if (musicSecondsInput) musicSecondsInput.value = settings.musicMinWatchSeconds;
   if (trackSelect) trackSelect.value = String(settings.trackAutoplay);
+  if (abandonedSelect) abandonedSelect.value = String(settings.trackAbandoned);
   if (hiddenSelect) hiddenSelect.value = String(settings.countHiddenTime);
   if (retentionSelect) retentionSelect.value = settings.dataRetention;
+  if (trashSelect) trashSelect.value = String(settings.trashRetentionDays);
+  if (retentionDaysInput) retentionDaysInput.value = settings.retentionDays;
+  if (retentionModeSelect) retentionModeSelect.value = settings.retentionMode;
+  toggleRetentionDaysField();
+  renderRetentionOverrides();
   if (aiSelect) aiSelect.value = String(settings.aiFeaturesEnabled);
   if (apiInput) apiInput.value = settings.openRouterApiKey || '';
+  if (syncSelect) syncSelect.value = String(settings.syncEnabled);
+  if (syncDigestSelect) syncDigestSelect.value = String(settings.syncHistoryDigest);
+  if (syncKeySelect) syncKeySelect.value = String(settings.syncApiKey);
+  const syncButton = document.getElementById('syncNow');
+  if (syncButton) syncButton.disabled = !settings.syncEnabled;
 };
 
 const sendMessage = (payload) => new Promise((resolve, reject) => {
@@ -6,25 +6,41 @@
  */
 
 import {
-  getHistory,
+  getHistoryPage,
   getSettings,
   saveSettings,
-  getTodayCount
+  getTodayCount,
+  getQuotaStatus,
+  getProfiles,
+  setActiveProfile,
+  HISTORY_CHANGE_KEY,
+  PROFILE_CHANGE_KEYS
 } from '../utils/storage.js';
+import { getThumbnailUrl, formatDate, getContentType, CONTENT_TYPES, safeMarkdown, escapeAttribute } from '../utils/helpers.js';
 
 const MESSAGE_TYPES = {
   GENERATE_WEEKLY_REPORT: 'GENERATE_WEEKLY_REPORT'
 };
 
+const CONTENT_TYPE_LABELS = {
+  [CONTENT_TYPES.SHORT]: 'Short · ',
+  [CONTENT_TYPES.MUSIC]: 'Music · '
+};
+
 const subscribeToStorage = () => {
   chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName !== 'local') return;
-    if (changes.videos) {
+    if (changes[HISTORY_CHANGE_KEY]) {
       loadHistory();
     }
     if (changes.settings) {
       loadSettings();
     }
+    if (PROFILE_CHANGE_KEYS.some((key) => changes[key])) {
+      loadProfiles();
+      loadSettings();
+      loadHistory();
+    }
   });
 };
 
@@ -34,8 +50,10 @@ const state = {
 };
 
 const init = async () => {
+  await loadProfiles();
   await loadSettings();
   await loadHistory();
+  await loadQuotaStatus();
   bindEvents();
   subscribeToStorage();
 };
@@ -52,29 +70,74 @@ const loadSettings = async () => {
   }
 };
 
+const loadProfiles = async () => {
+  const select = document.getElementById('profileSelect');
+  if (!select) return;
+  try {
+    const { profiles, activeId } = await getProfiles();
+    select.innerHTML = profiles
+      .map((profile) => `<option value="${escapeAttribute(profile.id)}" ${profile.id === activeId ? 'selected' : ''}>${safeMarkdown(profile.name)}</option>`)
+      .join('');
+    select.disabled = profiles.length < 2;
+  } catch (error) {
+    console.error('popup.loadProfiles failed', error);
+  }
+};
+
 const loadHistory = async () => {
   try {
-    const history = await getHistory();
+    const { items: recent } = await getHistoryPage({ limit: 5 });
     const todayCount = await getTodayCount();
-    renderRecent(history.slice(-5).reverse());
+    renderRecent(recent);
     document.getElementById('todayCount').textContent = todayCount;
-    document.getElementById('recentCount').textContent = Math.min(history.length, 5);
+    document.getElementById('recentCount').textContent = recent.length;
   } catch (error) {
     console.error('popup.loadHistory failed', error);
   }
 };
 
+// PATTERN: Early warning — flag the quota while writes still succeed, not after they fail.
+const loadQuotaStatus = async () => {
+  const banner = document.getElementById('quotaWarning');
+  if (!banner) return;
+  try {
+    const status = await getQuotaStatus();
+    banner.hidden = status.level === 'ok';
+    if (banner.hidden) return;
+    const used = `Storage ${Math.round(status.ratio * 100)}% full`;
+    const outlook = status.fullAt ? ` — fills around ${formatDate(status.fullAt)} at your current pace` : '';
+    document.getElementById('quotaWarningText').textContent = `${used}${outlook}. Compact or export old history.`;
+    banner.classList.toggle('quota-warning--critical', status.level === 'critical');
+  } catch (error) {
+    console.error('popup.loadQuotaStatus failed', error);
+  }
+};
+
 const bindEvents = () => {
   document.getElementById('openDashboard')?.addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
   });
 
+  document.getElementById('openStorage')?.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html#storagePanel') });
+  });
+
+  document.getElementById('profileSelect')?.addEventListener('change', async (event) => {
+    try {
+      await setActiveProfile(event.target.value);
+    } catch (error) {
+      console.error('popup.setActiveProfile failed', error);
+      loadProfiles();
+    }
+  });
+
   document.getElementById('trackingToggle')?.addEventListener('click', async () => {
     state.trackingEnabled = !state.trackingEnabled;
     try {
       await saveSettings({ trackingEnabled: state.trackingEnabled });
       updateToggle();
     } catch (error) {
+      state.trackingEnabled = !state.trackingEnabled;
       console.error('popup.saveSettings failed', error);
     }
   });
@@ -103,11 +166,11 @@ const renderRecent = (videos) => {
     const li = document.createElement('li');
     li.className = 'recent__item';
     li.innerHTML = `
-      <img src="${video.thumbnail}" alt="${video.title}" class="recent__thumb" />
+      <img src="${escapeAttribute(getThumbnailUrl(video))}" alt="${escapeAttribute(video.title)}" class="recent__thumb" />
       <div class="recent__meta">
-        <p class="recent__title">${video.title}</p>
-        <p class="recent__channel">${video.channelName} · ${video.watchPercent}%</p>
-        ${video.aiCategory ? `<span class="badge category-badge">${video.aiCategory}</span>` : ''}
+        <p class="recent__title">${safeMarkdown(video.title)}</p>
+        <p class="recent__channel">${CONTENT_TYPE_LABELS[getContentType(video)] || ''}${safeMarkdown(video.channelName)} · ${video.watchPercent}%</p>
+        ${video.aiCategory ? `<span class="badge category-badge">${safeMarkdown(video.aiCategory)}</span>` : ''}
       </div>
     `;
     list.appendChild(li);
@@ -5,6 +5,8 @@
  * verification helpers consumed exclusively by background/service-worker.js.
  */
 
+import { DEFAULT_CATEGORIES, UNCATEGORIZED } from './categories.js';
+
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 const AI_MODEL_PRIMARY = 'mistralai/mistral-nemo';
 const AI_MODEL_FALLBACK = 'google/gemma-3-12b-it';
@@ -30,11 +32,17 @@ const KEYWORD_HINTS = [
   { category: 'History', keywords: ['history', 'historic', 'wwii', 'ancient', 'civilization'] }
 ];
 
-const inferHeuristicCategory = (title = '', channelName = '') => {
-  const haystack = `${title} ${channelName}`.toLowerCase();
+const findAllowed = (categories, name) => (typeof name === 'string'
+  ? categories.find((category) => category.toLowerCase() === name.trim().toLowerCase()) || null
+  : null);
+
+// WHY: hints for categories the user removed or renamed are skipped.
+const inferHeuristicCategory = (title = '', channelName = '', categories = [], keywords = []) => {
+  const haystack = `${title} ${channelName} ${keywords.join(' ')}`.toLowerCase();
   for (const hint of KEYWORD_HINTS) {
-    if (hint.keywords.some((keyword) => haystack.includes(keyword))) {
-      return hint.category;
+    const allowed = findAllowed(categories, hint.category);
+    if (allowed && hint.keywords.some((keyword) => haystack.includes(keyword))) {
+      return allowed;
     }
   }
   return null;
@@ -79,11 +87,31 @@ const parseJsonContent = (content) => {
   }
 };
 
-export const categorizeVideoAi = async ({ title, channelName, apiKey }) => {
+// Optional uploader metadata lines for the prompt; titles alone are often clickbait.
+const describeVideoContext = ({ description, keywords = [], youtubeCategory }) => [
+  youtubeCategory ? `YouTube Category: "${youtubeCategory}"` : null,
+  keywords.length ? `Keywords: ${keywords.slice(0, 20).join(', ')}` : null,
+  description ? `Description (excerpt): "${description.replace(/\s+/g, ' ').trim()}"` : null
+].filter(Boolean).map((line) => `${line}\n`).join('');
+
+/**
+ * @param {{title: string, channelName: string, apiKey: string, categories?: string[]}} video
+ *   categories is the user's list (names only, Uncategorized excluded)
+ * @returns {Promise<{category: string, confidence: string}>} a name from the list, or Uncategorized
+ */
+export const categorizeVideoAi = async ({
+  title,
+  channelName,
+  description = null,
+  keywords = [],
+  youtubeCategory = null,
+  apiKey,
+  categories = DEFAULT_CATEGORIES.map((category) => category.name)
+}) => {
   try {
-    const heuristicCategory = inferHeuristicCategory(title, channelName);
+    const heuristicCategory = inferHeuristicCategory(title, channelName, categories, keywords);
     const heuristicHint = heuristicCategory ? `Heuristic guess based on keywords: ${heuristicCategory}. Only use if it truly fits.` : 'No heuristic guess available.';
-    const prompt = `You are a precise YouTube video classifier. Your output MUST be valid JSON with no Markdown or commentary.\n\nAllowed categories: Technology, Programming, Gaming, Music, Education, Science, Finance, Health, Comedy, News, Sports, Cooking, Travel, Art, Productivity, Philosophy, Politics, History, Other.\nConfidence options: high, medium, low.\n\nVideo Title: "${title}"\nChannel Name: "${channelName}"\n${heuristicHint}\n\nRules:\n1. Pick exactly one category from the allowed list.\n2. Prefer the heuristic guess only if it clearly matches.\n3. Never invent a new category.\n4. Respond with JSON only.\n\nReturn: {"category":"<AllowedCategory>","confidence":"<high|medium|low>"}`;
+    const prompt = `You are a precise YouTube video classifier. Your output MUST be valid JSON with no Markdown or commentary.\n\nAllowed categories: ${categories.join(', ')}.\nConfidence options: high, medium, low.\n\nVideo Title: "${title}"\nChannel Name: "${channelName}"\n${describeVideoContext({ description, keywords, youtubeCategory })}${heuristicHint}\n\nRules:\n1. Pick exactly one category from the allowed list.\n2. Prefer the heuristic guess only if it clearly matches.\n3. Never invent a new category.\n4. Respond with JSON only.\n\nReturn: {"category":"<AllowedCategory>","confidence":"<high|medium|low>"}`;
 
     let data;
     try {
@@ -105,18 +133,16 @@ export const categorizeVideoAi = async ({ title, channelName, apiKey }) => {
       throw new Error('OpenRouter response missing content');
     }
     const parsed = parseJsonContent(content);
-    const cleanCategory = typeof parsed.category === 'string' ? parsed.category : 'Uncategorized';
-    const normalizedCategory = cleanCategory && cleanCategory !== 'Uncategorized'
-      ? cleanCategory
-      : (heuristicCategory || 'Uncategorized');
+    // WHY: models sometimes answer outside the list despite the rules; fall back rather than store it.
+    const normalizedCategory = findAllowed(categories, parsed.category) || heuristicCategory || UNCATEGORIZED;
     return {
       category: normalizedCategory,
       confidence: parsed.confidence || (heuristicCategory ? 'medium' : 'low')
     };
   } catch (error) {
     console.error('categorizeVideoAi failed', error);
-    const heuristicCategory = inferHeuristicCategory(title, channelName);
-    return { category: heuristicCategory || 'Uncategorized', confidence: heuristicCategory ? 'medium' : 'low' };
+    const heuristicCategory = inferHeuristicCategory(title, channelName, categories, keywords);
+    return { category: heuristicCategory || UNCATEGORIZED, confidence: heuristicCategory ? 'medium' : 'low' };
   }
 };
 
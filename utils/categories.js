@@ -0,0 +1,105 @@
+/**
+ * categories.js
+ * Pure helpers for the user-editable category list: normalizing the stored
+ * list, looking up colors, mapping AI answers onto it, and working out which
+ * stored categories a rename, merge or removal moves. storage.js persists the
+ * list and relabels records; ai.js and the dashboard read it.
+ */
+
+import { VIDEO_CATEGORIES, CATEGORY_COLOR_MAP } from './helpers.js';
+
+// WHY: the "no category yet" bucket is not user-editable; AI jobs look for it.
+export const UNCATEGORIZED = 'Uncategorized';
+
+// WHY: stored as aiCategoryConfidence so exports show which labels were set by hand.
+export const MANUAL_CONFIDENCE = 'manual';
+
+export const DEFAULT_CATEGORIES = VIDEO_CATEGORIES
+  .filter((name) => name !== UNCATEGORIZED)
+  .map((name) => ({ name, color: CATEGORY_COLOR_MAP[name] }));
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const FALLBACK_COLOR = CATEGORY_COLOR_MAP.Other;
+const NAME_MAX_LENGTH = 40;
+
+// WHY: names are written into HTML attributes and the AI prompt, so quotes and brackets are dropped.
+const cleanName = (name) => (typeof name === 'string' ? name.replace(/["<>]/g, '').trim().slice(0, NAME_MAX_LENGTH) : '');
+
+/**
+ * @param {{name: string, color?: string}[]|undefined} categories stored list
+ * @returns {{name: string, color: string}[]} unique (case-insensitive) categories, the defaults when empty
+ */
+export const normalizeCategories = (categories) => {
+  if (!Array.isArray(categories) || !categories.length) {
+    return DEFAULT_CATEGORIES.map((category) => ({ ...category }));
+  }
+  const seen = new Set();
+  return categories
+    .map((category) => ({
+      name: cleanName(category?.name),
+      color: COLOR_PATTERN.test(category?.color) ? category.color.toLowerCase() : FALLBACK_COLOR
+    }))
+    .filter(({ name }) => {
+      const key = name.toLowerCase();
+      if (!name || key === UNCATEGORIZED.toLowerCase() || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * @param {{name: string}[]} categories normalized list
+ * @param {string} name e.g. an AI answer or an imported label
+ * @returns {string|null} the list's spelling of the name, null when it is not in the list
+ */
+export const matchCategory = (categories, name) => {
+  const wanted = cleanName(name).toLowerCase();
+  return categories.find((category) => category.name.toLowerCase() === wanted)?.name || null;
+};
+
+/**
+ * @param {{name: string, color: string}[]} categories normalized list
+ * @returns {Record<string, string>} color per category name, Uncategorized included
+ */
+export const buildColorMap = (categories) => ({
+  ...Object.fromEntries(categories.map((category) => [category.name, category.color])),
+  [UNCATEGORIZED]: CATEGORY_COLOR_MAP[UNCATEGORIZED]
+});
+
+/**
+ * @param {string|null} category a name from the list, or null to hand the video back to AI
+ * @returns {object} record updates that lock (or unlock) the video's category
+ */
+export const buildCategoryOverride = (category) => (category
+  ? { aiCategory: category, aiCategoryConfidence: MANUAL_CONFIDENCE, categoryLocked: true }
+  : { aiCategory: UNCATEGORIZED, aiCategoryConfidence: null, categoryLocked: false });
+
+/**
+ * Works out the new list and which stored labels move where. A renamed row
+ * moves its old name to the new one; a row merged into another (or renamed to
+ * a name already in the list) moves to that category; a removed row moves to
+ * Uncategorized.
+ * @param {{name: string}[]} current normalized list before the edit
+ * @param {{name: string, color: string, originalName?: string, mergeInto?: string}[]} edited editor rows;
+ *   `mergeInto` is the original name of the row to merge into
+ * @returns {{categories: object[], moves: Map<string, string>}} new list + old name → new name
+ */
+export const planCategoryEdit = (current, edited) => {
+  const kept = edited.filter((row) => !row.mergeInto);
+  const categories = normalizeCategories(kept.length ? kept : DEFAULT_CATEGORIES);
+  const finalName = (row) => (row ? matchCategory(categories, row.name) || UNCATEGORIZED : UNCATEGORIZED);
+  const moves = new Map();
+  edited.filter((row) => row.originalName).forEach((row) => {
+    const target = row.mergeInto
+      ? finalName(kept.find((item) => (item.originalName || item.name) === row.mergeInto))
+      : finalName(row);
+    moves.set(row.originalName, target);
+  });
+  current
+    .filter((category) => !edited.some((row) => row.originalName === category.name))
+    .forEach((category) => moves.set(category.name, UNCATEGORIZED));
+  moves.forEach((target, name) => {
+    if (target === name) moves.delete(name);
+  });
+  return { categories, moves };
+};
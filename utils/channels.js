@@ -0,0 +1,224 @@
+/**
+ * channels.js
+ * Pure helpers for channel identity. Records may know a channel by its
+ * stable `UC…` id, its @handle, a legacy /c/ or /user/ URL, or only its
+ * display name. The registry links those identifiers (`aliases`, learned
+ * from the page), remembers display-name history and avatars, and holds the
+ * user's manual `merges`, so stats count one channel once.
+ * storage.js persists the registry; helpers.js and the dashboard resolve with it.
+ */
+
+export const EMPTY_REGISTRY = { channels: {}, aliases: {}, merges: {} };
+
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+const NAME_HISTORY_LIMIT = 10;
+// WHY: name history only needs to know roughly when a name was last used; a
+// coarse lastSeen lets repeat watches of a channel leave the registry unchanged.
+const LAST_SEEN_RESOLUTION_MS = 24 * 60 * 60 * 1000;
+const UNKNOWN_CHANNEL = 'Unknown';
+
+/**
+ * @param {string} url channel link from the page, Takeout, or a legacy record's channelId
+ * @returns {{channelId: string|null, handle: string|null, customUrl: string|null}} identifiers found in the URL
+ */
+export const parseChannelUrl = (url = '') => {
+  const result = { channelId: null, handle: null, customUrl: null };
+  if (typeof url !== 'string' || !url) return result;
+  if (CHANNEL_ID_PATTERN.test(url)) return { ...result, channelId: url };
+  let path = url;
+  try {
+    path = new URL(url, 'https://www.youtube.com').pathname;
+  } catch (error) {
+    return result;
+  }
+  const [first = '', second = ''] = path.split('/').filter(Boolean).map(decodeURIComponent);
+  if (first === 'channel' && CHANNEL_ID_PATTERN.test(second)) return { ...result, channelId: second };
+  if (first.startsWith('@')) return { ...result, handle: first.toLowerCase() };
+  if ((first === 'c' || first === 'user') && second) return { ...result, customUrl: `${first}/${second.toLowerCase()}` };
+  return result;
+};
+
+/**
+ * PATTERN: Most stable identifier wins — id, then handle, then legacy URL,
+ * then the display name for records that carry nothing else.
+ * @param {{channelId?: string, channelHandle?: string, channelUrl?: string, channelName?: string}} video
+ * @returns {string} registry key the record belongs to before aliases and merges
+ */
+export const channelKeyOf = (video = {}) => {
+  const fromId = parseChannelUrl(video.channelId);
+  const fromUrl = parseChannelUrl(video.channelUrl);
+  const handle = typeof video.channelHandle === 'string' && video.channelHandle.startsWith('@')
+    ? video.channelHandle.toLowerCase()
+    : null;
+  return fromId.channelId
+    || fromUrl.channelId
+    || handle
+    || fromId.handle
+    || fromUrl.handle
+    || fromId.customUrl
+    || fromUrl.customUrl
+    || `name:${(video.channelName || UNKNOWN_CHANNEL).trim().toLowerCase()}`;
+};
+
+/**
+ * @param {any} raw stored registry
+ * @returns {{channels: object, aliases: Record<string, string>, merges: Record<string, string>}} registry with every map present
+ */
+export const normalizeRegistry = (raw) => ({
+  channels: raw?.channels && typeof raw.channels === 'object' ? raw.channels : {},
+  aliases: raw?.aliases && typeof raw.aliases === 'object' ? raw.aliases : {},
+  merges: raw?.merges && typeof raw.merges === 'object' ? raw.merges : {}
+});
+
+/**
+ * @param {object} registry
+ * @param {string} key
+ * @returns {string} the channel the key points at after aliases and merges
+ */
+export const resolveChannelKey = (registry, key) => {
+  let current = key;
+  const visited = new Set();
+  const next = (item) => registry.merges[item] || registry.aliases[item];
+  // WHY: a merge chain (A into B, later B into C) is followed to its end; a cycle stops at the repeat.
+  while (next(current) && !visited.has(current)) {
+    visited.add(current);
+    current = next(current);
+  }
+  return current;
+};
+
+const latestName = (entry) => entry?.names?.[entry.names.length - 1]?.name || null;
+
+/**
+ * @param {object} registry
+ * @param {object} video
+ * @returns {{key: string, name: string, handle: string|null, avatar: string|null}} the channel as stats should show it
+ */
+export const resolveChannel = (registry, video) => {
+  const key = resolveChannelKey(registry, channelKeyOf(video));
+  const entry = registry.channels[key];
+  return {
+    key,
+    name: latestName(entry) || video.channelName || UNKNOWN_CHANNEL,
+    handle: entry?.handle || null,
+    avatar: entry?.avatar || null
+  };
+};
+
+/**
+ * Records one sighting of a channel from a tracked watch. A sighting that
+ * carries both the id and the handle (or a legacy URL) links them, so older
+ * records stored under the handle roll up into the id.
+ * @param {object} registry
+ * @param {{channelId?: string, channelHandle?: string, channelUrl?: string, channelName?: string, channelAvatar?: string}} video
+ * @param {string} seenAt ISO time of the watch
+ * @returns {object} updated registry (a new object; the input is not changed), or the
+ *   input itself when the sighting adds nothing, so callers can skip the write
+ */
+export const registerChannel = (registry, video, seenAt = new Date().toISOString()) => {
+  const base = channelKeyOf(video);
+  // WHY: a sighting without the id (page not fully rendered) still lands on the id's entry once linked.
+  const key = registry.aliases[base] || base;
+  const secondary = channelKeyOf({ channelHandle: video.channelHandle, channelUrl: video.channelUrl, channelName: '' });
+  const aliases = { ...registry.aliases };
+  const channels = { ...registry.channels };
+  const existing = channels[key] || { key, channelId: null, handle: null, avatar: null, names: [] };
+  let names = [...existing.names];
+  let changed = !channels[key];
+  if (secondary !== key && !secondary.startsWith('name:') && !aliases[secondary]) {
+    changed = true;
+    aliases[secondary] = key;
+    // WHY: names first seen under the handle become the id entry's history.
+    if (channels[secondary]) {
+      names = [...channels[secondary].names, ...names].sort((a, b) => a.firstSeen.localeCompare(b.firstSeen));
+      delete channels[secondary];
+    }
+  }
+  const handle = secondary.startsWith('@') ? secondary : null;
+  const name = (video.channelName || '').trim();
+  const last = names[names.length - 1];
+  if (name && last?.name === name) {
+    if (Date.parse(seenAt) - Date.parse(last.lastSeen) >= LAST_SEEN_RESOLUTION_MS) {
+      changed = true;
+      names[names.length - 1] = { ...last, lastSeen: seenAt };
+    }
+  } else if (name && !(last && seenAt < last.lastSeen)) {
+    changed = true;
+    names.push({ name, firstSeen: seenAt, lastSeen: seenAt });
+  }
+  const entry = {
+    ...existing,
+    channelId: parseChannelUrl(video.channelId).channelId || existing.channelId,
+    handle: handle || existing.handle,
+    avatar: video.channelAvatar || existing.avatar,
+    names: names.slice(-NAME_HISTORY_LIMIT)
+  };
+  if (!changed && ['channelId', 'handle', 'avatar'].every((field) => entry[field] === existing[field])) {
+    return registry;
+  }
+  return {
+    ...registry,
+    aliases,
+    channels: { ...channels, [key]: entry }
+  };
+};
+
+/**
+ * @param {object} registry
+ * @param {string} sourceKey channel to fold away
+ * @param {string} targetKey channel that keeps the stats
+ * @returns {object} updated registry
+ */
+export const mergeChannels = (registry, sourceKey, targetKey) => {
+  const source = resolveChannelKey(registry, sourceKey);
+  const target = resolveChannelKey(registry, targetKey);
+  if (source === target) {
+    throw new Error('Those channels are already the same channel');
+  }
+  return { ...registry, merges: { ...registry.merges, [source]: target } };
+};
+
+/**
+ * Undoes a manual merge. Links learned from the page (handle to id) stay.
+ * @param {object} registry
+ * @param {string} key channel that was merged away
+ * @returns {object} updated registry
+ */
+export const unmergeChannel = (registry, key) => {
+  const merges = { ...registry.merges };
+  delete merges[key];
+  return { ...registry, merges };
+};
+
+const displayNameOf = (registry, key) => latestName(registry.channels[key]) || key.replace(/^name:/, '');
+
+/**
+ * @param {object} registry
+ * @returns {{key: string, name: string, target: string, targetName: string}[]} manual merges, for the undo list
+ */
+export const listMergedChannels = (registry) => Object.keys(registry.merges).map((key) => {
+  const target = resolveChannelKey(registry, key);
+  return { key, name: displayNameOf(registry, key), target, targetName: displayNameOf(registry, target) };
+});
+
+/**
+ * Channels listed under more than one key with the same display name, e.g.
+ * imported records keyed by name next to tracked ones keyed by id.
+ * @param {object} registry
+ * @param {object[]} videos
+ * @returns {{name: string, keys: string[]}[]} merge suggestions
+ */
+export const findDuplicateChannels = (registry, videos) => {
+  const byName = new Map();
+  videos.forEach((video) => {
+    const { key, name } = resolveChannel(registry, video);
+    const lower = name.toLowerCase();
+    if (lower === UNKNOWN_CHANNEL.toLowerCase() || lower === 'unknown channel') return;
+    const group = byName.get(lower) || { name, keys: new Set() };
+    group.keys.add(key);
+    byName.set(lower, group);
+  });
+  return Array.from(byName.values())
+    .filter((group) => group.keys.size > 1)
+    .map((group) => ({ name: group.name, keys: Array.from(group.keys) }));
+};
@@ -0,0 +1,95 @@
+/**
+ * crypto.js
+ * Passphrase-encrypted backup files built on WebCrypto: PBKDF2-SHA-256 derives
+ * an AES-GCM key, so a backup left in Downloads reveals nothing without the
+ * passphrase and any tampering fails authentication on import.
+ */
+
+export const ENCRYPTED_BACKUP_FORMAT = 'yt-true-history-encrypted';
+
+const BACKUP_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+// WHY: the count is read from the file; too few weakens the key, too many hangs the page.
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 10;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// WHY: String.fromCharCode(...bytes) overflows the call stack on large histories.
+const BASE64_CHUNK = 0x8000;
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + BASE64_CHUNK));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations, usage) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+};
+
+/**
+ * @param {any} parsed JSON.parse output of an uploaded file
+ * @returns {boolean} true when the file is an encrypted backup
+ */
+export const isEncryptedBackup = (parsed) => Boolean(parsed)
+  && typeof parsed === 'object'
+  && parsed.format === ENCRYPTED_BACKUP_FORMAT;
+
+/**
+ * @param {object} payload anything JSON-serializable (export envelope + extras)
+ * @param {string} passphrase
+ * @returns {Promise<object>} self-describing encrypted envelope, safe to JSON.stringify
+ */
+export const encryptBackup = async (payload, passphrase) => {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+  const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(ciphertext))
+  };
+};
+
+/**
+ * @param {object} envelope output of encryptBackup
+ * @param {string} passphrase
+ * @returns {Promise<object>} the original payload
+ */
+export const decryptBackup = async (envelope, passphrase) => {
+  if (!isEncryptedBackup(envelope) || envelope.version > BACKUP_VERSION) {
+    throw new Error('Unsupported encrypted backup; update the extension to open it');
+  }
+  const { kdf, cipher, data } = envelope;
+  if (!Number.isInteger(kdf?.iterations) || kdf.iterations < MIN_PBKDF2_ITERATIONS || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error(`Backup key settings are out of range (${MIN_PBKDF2_ITERATIONS}–${MAX_PBKDF2_ITERATIONS} iterations); the file may be damaged`);
+  }
+  const key = await deriveKey(passphrase, fromBase64(kdf.salt), kdf.iterations, 'decrypt');
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(cipher.iv) }, key, fromBase64(data));
+  } catch (error) {
+    // WHY: AES-GCM cannot tell a wrong passphrase from a modified file; both fail authentication.
+    throw new Error('Wrong passphrase or damaged backup file');
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
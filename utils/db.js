@@ -0,0 +1,244 @@
+/**
+ * db.js
+ * Thin promise wrapper around IndexedDB so the storage layer can keep watch
+ * history in indexed object stores instead of one chrome.storage array. Only
+ * utils/storage.js imports this module; UIs and the worker go through storage.
+ * Each tracking profile gets its own database; the default profile keeps the
+ * original name so existing history stays where it is.
+ */
+
+import { DEFAULT_PROFILE_ID } from './profiles.js';
+
+const DB_NAME = 'yt-true-history';
+const DB_VERSION = 4;
+
+// WHY: const keeps store + index names immutable so queries never drift from the schema.
+export const STORES = {
+  VIDEOS: 'videos',
+  TRASH: 'trash',
+  ARCHIVE: 'archive',
+  SAMPLED: 'sampled'
+};
+
+export const VIDEO_INDEXES = ['watchedAt', 'channelName', 'aiCategory', 'videoId'];
+
+// WHY: one shared connection per profile database, opened once per context.
+const connections = new Map();
+
+const databaseName = (profileId) => (profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}:${profileId}`);
+
+/**
+ * PATTERN: Promises — wraps a single IDBRequest so callers can await it.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} request result
+ */
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+// WHY: each block is idempotent, so any older database version upgrades in one pass.
+const upgradeSchema = (db) => {
+  if (!db.objectStoreNames.contains(STORES.VIDEOS)) {
+    const store = db.createObjectStore(STORES.VIDEOS, { keyPath: 'videoId' });
+    VIDEO_INDEXES.forEach((indexName) => store.createIndex(indexName, indexName, { unique: false }));
+  }
+  if (!db.objectStoreNames.contains(STORES.TRASH)) {
+    const trash = db.createObjectStore(STORES.TRASH, { keyPath: 'trashId' });
+    trash.createIndex('deletedAt', 'deletedAt', { unique: false });
+  }
+  if (!db.objectStoreNames.contains(STORES.ARCHIVE)) {
+    db.createObjectStore(STORES.ARCHIVE, { keyPath: 'month' });
+  }
+  // WHY: sessions that ended below the thresholds live apart from the history, one row per session.
+  if (!db.objectStoreNames.contains(STORES.SAMPLED)) {
+    const sampled = db.createObjectStore(STORES.SAMPLED, { keyPath: 'sessionId' });
+    sampled.createIndex('watchedAt', 'watchedAt', { unique: false });
+  }
+};
+
+/**
+ * @param {string} profileId
+ * @returns {Promise<IDBDatabase>} shared connection, opened once per context
+ */
+export const openDatabase = (profileId = DEFAULT_PROFILE_ID) => {
+  if (!connections.has(profileId)) {
+    connections.set(profileId, new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName(profileId), DB_VERSION);
+      request.onupgradeneeded = () => upgradeSchema(request.result);
+      request.onsuccess = () => {
+        const db = request.result;
+        // WHY: a newer extension version (or a profile deletion) in another context must not be blocked.
+        db.onversionchange = () => {
+          db.close();
+          connections.delete(profileId);
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        connections.delete(profileId);
+        reject(request.error);
+      };
+    }));
+  }
+  return connections.get(profileId);
+};
+
+/**
+ * @param {string} profileId never the default profile
+ * @returns {Promise<void>} resolves once the profile's database is gone
+ */
+export const deleteDatabase = async (profileId) => {
+  if (profileId === DEFAULT_PROFILE_ID) {
+    throw new Error('The default profile database cannot be deleted');
+  }
+  const open = connections.get(profileId);
+  connections.delete(profileId);
+  if (open) {
+    (await open.catch(() => null))?.close();
+  }
+  await requestToPromise(indexedDB.deleteDatabase(databaseName(profileId)));
+};
+
+const toKeyRange = (range) => {
+  if (!range) return null;
+  if (range.only !== undefined) return IDBKeyRange.only(range.only);
+  const hasLower = range.lower !== undefined && range.lower !== null;
+  const hasUpper = range.upper !== undefined && range.upper !== null;
+  if (hasLower && hasUpper) return IDBKeyRange.bound(range.lower, range.upper);
+  if (hasLower) return IDBKeyRange.lowerBound(range.lower);
+  if (hasUpper) return IDBKeyRange.upperBound(range.upper);
+  return null;
+};
+
+/**
+ * @param {string} storeName
+ * @param {string} profileId
+ * @returns {Promise<object[]>} every record in the store
+ */
+export const getAllRecords = async (storeName, profileId) => {
+  const db = await openDatabase(profileId);
+  return requestToPromise(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+};
+
+/**
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {{lower?: any, upper?: any, only?: any}} range
+ * @param {string} profileId
+ * @returns {Promise<object[]>} records whose index key falls inside the range
+ */
+export const getRecordsInRange = async (storeName, indexName, range, profileId) => {
+  const db = await openDatabase(profileId);
+  const index = db.transaction(storeName, 'readonly').objectStore(storeName).index(indexName);
+  return requestToPromise(index.getAll(toKeyRange(range)));
+};
+
+/**
+ * PATTERN: Cursor pagination — the cursor handed back is the last row's
+ * (index key, primary key) pair, so pages stay stable while rows are added.
+ * @param {string} storeName
+ * @param {object} options
+ * @param {string} options.indexName index to walk
+ * @param {'next'|'prev'} options.direction
+ * @param {number} options.limit page size
+ * @param {{key: any, primaryKey: any}|null} options.cursor from the previous page
+ * @param {{lower?: any, upper?: any, only?: any}|null} options.range
+ * @param {string} options.profileId
+ * @returns {Promise<{items: object[], nextCursor: object|null}>} one page of records
+ */
+export const getPage = async (storeName, {
+  indexName,
+  direction = 'next',
+  limit = 50,
+  cursor: after = null,
+  range = null,
+  profileId
+} = {}) => {
+  const db = await openDatabase(profileId);
+  const index = db.transaction(storeName, 'readonly').objectStore(storeName).index(indexName);
+  const order = direction === 'prev' ? -1 : 1;
+  return new Promise((resolve, reject) => {
+    const items = [];
+    let nextCursor = null;
+    const request = index.openCursor(toKeyRange(range), direction);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ items, nextCursor: null });
+        return;
+      }
+      if (after) {
+        const position = (indexedDB.cmp(cursor.key, after.key) || indexedDB.cmp(cursor.primaryKey, after.primaryKey)) * order;
+        if (position < 0) {
+          cursor.continuePrimaryKey(after.key, after.primaryKey);
+          return;
+        }
+        if (position === 0) {
+          cursor.continue();
+          return;
+        }
+      }
+      if (items.length === limit) {
+        resolve({ items, nextCursor });
+        return;
+      }
+      items.push(cursor.value);
+      nextCursor = { key: cursor.key, primaryKey: cursor.primaryKey };
+      cursor.continue();
+    };
+  });
+};
+
+/**
+ * @param {string} storeName
+ * @param {object[]} records
+ * @param {{replace?: boolean, profileId?: string}} options replace clears the store in the same transaction
+ * @returns {Promise<void>} resolves once the transaction commits
+ */
+export const putRecords = async (storeName, records, { replace = false, profileId } = {}) => {
+  const db = await openDatabase(profileId);
+  const transaction = db.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  if (replace) {
+    store.clear();
+  }
+  records.forEach((record) => store.put(record));
+  return transactionDone(transaction);
+};
+
+/**
+ * PATTERN: Transactional writes — `work` receives one readwrite transaction
+ * and may await requests on it; every read and write inside commits together
+ * or not at all. Throwing from `work` aborts the transaction.
+ * @param {string[]} storeNames
+ * @param {(transaction: IDBTransaction) => Promise<any>} work
+ * @param {string} profileId
+ * @returns {Promise<any>} whatever `work` returned, once the transaction commits
+ */
+export const runTransaction = async (storeNames, work, profileId) => {
+  const db = await openDatabase(profileId);
+  const transaction = db.transaction(storeNames, 'readwrite');
+  const done = transactionDone(transaction);
+  let result;
+  try {
+    result = await work(transaction);
+  } catch (error) {
+    try {
+      transaction.abort();
+    } catch (abortError) {
+      // WHY: the transaction may already have aborted because of the failed request.
+    }
+    await done.catch(() => {});
+    throw error;
+  }
+  await done;
+  return result;
+};
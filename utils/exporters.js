@@ -0,0 +1,133 @@
+/**
+ * exporters.js
+ * Pure builders that turn a list of video records into downloadable files.
+ * dashboard.js picks the videos (filtered view, date range, or everything),
+ * the format, and the columns; importers.js reads CSV exports back in.
+ */
+
+import { buildCsv } from './helpers.js';
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  NDJSON: 'ndjson',
+  MARKDOWN: 'markdown',
+  // WHY: async (WebCrypto), so dashboard.js builds it via crypto.js instead of buildExportFile.
+  ENCRYPTED: 'encrypted'
+};
+
+// WHY: one list drives the column picker, the CSV header, and CSV re-import typing.
+export const EXPORT_COLUMNS = [
+  { key: 'videoId', label: 'Video ID', type: 'text', required: true },
+  { key: 'title', label: 'Title', type: 'text' },
+  { key: 'channelName', label: 'Channel', type: 'text' },
+  { key: 'channelId', label: 'Channel ID', type: 'text' },
+  { key: 'contentType', label: 'Content type (video, short or music)', type: 'text' },
+  { key: 'source', label: 'Watched on (site)', type: 'text' },
+  { key: 'watchedAt', label: 'Last watched', type: 'date', required: true },
+  { key: 'firstWatchedAt', label: 'First watched', type: 'date' },
+  { key: 'watchedDuration', label: 'Seconds watched', type: 'number' },
+  { key: 'totalDuration', label: 'Video length', type: 'number' },
+  { key: 'watchPercent', label: 'Watch %', type: 'number' },
+  { key: 'rewatchCount', label: 'Rewatch count', type: 'number' },
+  { key: 'autoplay', label: 'Autoplay', type: 'boolean' },
+  { key: 'isLive', label: 'Watched live', type: 'boolean' },
+  { key: 'liveWatchedSeconds', label: 'Seconds watched live', type: 'number' },
+  { key: 'description', label: 'Description (excerpt)', type: 'text' },
+  { key: 'keywords', label: 'YouTube keywords (JSON list)', type: 'json' },
+  { key: 'publishedAt', label: 'Published', type: 'text' },
+  { key: 'viewCount', label: 'Views when watched', type: 'number' },
+  { key: 'youtubeCategory', label: 'YouTube category', type: 'text' },
+  { key: 'language', label: 'Language', type: 'text' },
+  { key: 'madeForKids', label: 'Made for kids', type: 'boolean' },
+  { key: 'chapters', label: 'Chapters (JSON)', type: 'json' },
+  { key: 'chapterProgress', label: 'Chapter coverage (JSON: coverage %, seconds played, status)', type: 'json' },
+  { key: 'aiCategory', label: 'Category', type: 'text' },
+  { key: 'aiCategoryConfidence', label: 'Category confidence', type: 'text' },
+  { key: 'rating', label: 'Rating', type: 'number' },
+  { key: 'tags', label: 'Tags (JSON list)', type: 'json' },
+  { key: 'note', label: 'Note', type: 'text' },
+  { key: 'sessions', label: 'Sessions (JSON, keeps rewatches on re-import)', type: 'json' }
+];
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'videoId', 'title', 'channelName', 'contentType', 'watchedAt', 'watchedDuration', 'totalDuration', 'watchPercent',
+  'aiCategory', 'rating', 'tags', 'note'
+];
+
+const FILE_TYPES = {
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mime: 'application/json' },
+  [EXPORT_FORMATS.CSV]: { extension: 'csv', mime: 'text/csv' },
+  [EXPORT_FORMATS.NDJSON]: { extension: 'ndjson', mime: 'application/x-ndjson' },
+  [EXPORT_FORMATS.MARKDOWN]: { extension: 'md', mime: 'text/markdown' }
+};
+
+/**
+ * @param {string[]} columns requested keys
+ * @returns {string[]} known keys in picker order, always including required ones
+ */
+export const normalizeExportColumns = (columns = DEFAULT_EXPORT_COLUMNS) => EXPORT_COLUMNS
+  .filter((column) => column.required || columns.includes(column.key))
+  .map((column) => column.key);
+
+const pickColumns = (video, columns) => columns.reduce((row, key) => {
+  if (video[key] !== undefined) row[key] = video[key];
+  return row;
+}, {});
+
+/**
+ * @param {object[]} videos
+ * @param {string[]} columns
+ * @returns {string} one JSON object per line
+ */
+export const buildNdjson = (videos, columns) => videos
+  .map((video) => JSON.stringify(pickColumns(video, columns)))
+  .join('\n');
+
+const markdownCell = (value) => {
+  if (value === undefined || value === null) return '';
+  // WHY: tag lists read better as plain text in a table than as JSON.
+  const isTextList = Array.isArray(value) && value.every((item) => typeof item === 'string');
+  const text = isTextList ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+};
+
+/**
+ * @param {object[]} videos
+ * @param {string[]} columns
+ * @returns {string} GitHub-flavored Markdown table
+ */
+export const buildMarkdownTable = (videos, columns) => {
+  const labels = columns.map((key) => EXPORT_COLUMNS.find((column) => column.key === key)?.label || key);
+  return [
+    `| ${labels.map(markdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...videos.map((video) => `| ${columns.map((key) => markdownCell(video[key])).join(' | ')} |`)
+  ].join('\n');
+};
+
+/**
+ * JSON stays the full-fidelity backup (every field, schema envelope); the
+ * column picker applies to the tabular formats.
+ * @param {object} envelope exportHistory output
+ * @param {{format: string, columns?: string[]}} options
+ * @returns {{content: string, filename: string, type: string}} file ready for download
+ */
+export const buildExportFile = (envelope, { format = EXPORT_FORMATS.JSON, columns } = {}) => {
+  const fileType = FILE_TYPES[format];
+  if (!fileType) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  const keys = normalizeExportColumns(columns);
+  const builders = {
+    [EXPORT_FORMATS.JSON]: () => JSON.stringify(envelope, null, 2),
+    [EXPORT_FORMATS.CSV]: () => buildCsv(envelope.videos, keys),
+    [EXPORT_FORMATS.NDJSON]: () => buildNdjson(envelope.videos, keys),
+    [EXPORT_FORMATS.MARKDOWN]: () => buildMarkdownTable(envelope.videos, keys)
+  };
+  return {
+    content: builders[format](),
+    filename: `yt-true-history.${fileType.extension}`,
+    type: fileType.mime
+  };
+};
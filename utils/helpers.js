@@ -5,7 +5,9 @@
  * indirectly with every module that imports these pure functions.
  */
 
-// WHY: const keeps foundational lookup tables immutable across imports.
+import { EMPTY_REGISTRY, resolveChannel } from './channels.js';
+
+// WHY: the starting category list; users edit their own copy through categories.js.
 export const VIDEO_CATEGORIES = [
   'Technology',
   'Programming',
@@ -29,7 +31,7 @@ export const VIDEO_CATEGORIES = [
   'Uncategorized'
 ];
 
-// WHY: const ensures retention windows stay stable for consistent cleanup rules.
+// WHY: default colors for the starting list; edited categories carry their own.
 export const CATEGORY_COLOR_MAP = {
   Technology: '#64d2ff',
   Programming: '#ff8f66',
@@ -53,6 +55,14 @@ export const CATEGORY_COLOR_MAP = {
   Uncategorized: '#666b7a'
 };
 
+// WHY: Shorts loop and are scrolled past, and music plays in the background,
+// so both are kept apart from intentional video watches.
+export const CONTENT_TYPES = {
+  VIDEO: 'video',
+  SHORT: 'short',
+  MUSIC: 'music'
+};
+
 export const RETENTION_WINDOWS = {
   all: null,
   '3m': 90,
@@ -96,6 +106,36 @@ export const formatHour = (isoString) => {
 
 export const formatPercent = (value) => `${Math.round(value)}%`;
 
+export const formatBytes = (bytes = 0) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+};
+
+// WHY: records saved before Shorts tracking carry no contentType and are all regular videos.
+export const getContentType = (video) => video?.contentType || CONTENT_TYPES.VIDEO;
+
+export const isShort = (video) => getContentType(video) === CONTENT_TYPES.SHORT;
+
+export const getWatchUrl = (video) => {
+  switch (getContentType(video)) {
+    case CONTENT_TYPES.SHORT:
+      return `https://www.youtube.com/shorts/${video.videoId}`;
+    case CONTENT_TYPES.MUSIC:
+      return `https://music.youtube.com/watch?v=${video.videoId}`;
+    default:
+      return `https://www.youtube.com/watch?v=${video.videoId}`;
+  }
+};
+
+// WHY: the thumbnail URL is derivable from the videoId, so compaction may drop the stored copy.
+export const getThumbnailUrl = (video) => video.thumbnail || `https://i.ytimg.com/vi/${video.videoId}/hqdefault.jpg`;
+
 export const getDateKey = (isoString) => new Date(isoString).toISOString().slice(0, 10);
 
 export const getLastNDays = (days) => {
@@ -123,16 +163,317 @@ export const groupBy = (items, selector) => {
   return map;
 };
 
-export const calculateTopChannels = (history, limit = 5) => {
-  const channelMap = groupBy(history, (video) => video.channelName || 'Unknown');
-  const ranked = Array.from(channelMap.entries()).map(([channel, videos]) => ({
-    channel,
+/**
+ * PATTERN: Watched segments — the tracker records the [start, end] ranges
+ * (in video seconds) that actually played, so seeking ahead never counts as
+ * watching. Overlapping or touching ranges are joined.
+ * @param {[number, number][]} segments ranges in any order
+ * @returns {[number, number][]} sorted, non-overlapping ranges
+ */
+export const mergeSegments = (segments = []) => {
+  const valid = (Array.isArray(segments) ? segments : [])
+    .filter((segment) => Array.isArray(segment) && Number.isFinite(segment[0]) && Number.isFinite(segment[1]) && segment[1] > segment[0])
+    .map(([start, end]) => [Math.max(0, start), end])
+    .sort((a, b) => a[0] - b[0]);
+  return valid.reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * @param {[number, number][]} segments
+ * @returns {number} unique seconds covered by the ranges
+ */
+export const sumSegments = (segments) => sum(mergeSegments(segments), ([start, end]) => end - start);
+
+export const CHAPTER_STATUSES = {
+  COMPLETED: 'completed',
+  REWATCHED: 'rewatched',
+  PARTIAL: 'partial',
+  SKIPPED: 'skipped',
+  UNWATCHED: 'unwatched'
+};
+
+// WHY: intros and outros are often cut by a few seconds; a chapter is done once nearly all of it played.
+const CHAPTER_COMPLETE_PERCENT = 90;
+const CHAPTER_SKIP_PERCENT = 10;
+// WHY: a second full pass, allowing for the few seconds skipped in each.
+const CHAPTER_REWATCH_PLAYS = 1.8;
+
+const overlapSeconds = (segments, start, end) => sum(segments, ([from, to]) => Math.max(0, Math.min(to, end) - Math.max(from, start)));
+
+const chapterStatus = (chapter, later) => {
+  if (chapter.coveragePercent >= CHAPTER_COMPLETE_PERCENT) {
+    return chapter.playedSeconds >= (chapter.end - chapter.start) * CHAPTER_REWATCH_PLAYS
+      ? CHAPTER_STATUSES.REWATCHED
+      : CHAPTER_STATUSES.COMPLETED;
+  }
+  if (chapter.coveragePercent >= CHAPTER_SKIP_PERCENT) return CHAPTER_STATUSES.PARTIAL;
+  // WHY: a chapter passed over on the way to a later one was skipped; one past where you stopped was never reached.
+  return later.some((next) => next.coveragePercent >= CHAPTER_SKIP_PERCENT) ? CHAPTER_STATUSES.SKIPPED : CHAPTER_STATUSES.UNWATCHED;
+};
+
+/**
+ * PATTERN: Chapter attribution — coverage comes from the merged segments of every
+ * session; played time also counts repeats, from each session's `chapterSeconds`
+ * (falling back to its segments for sessions saved without them).
+ * @param {{title: string, start: number}[]} chapters
+ * @param {number} totalDuration video length in seconds
+ * @param {object[]} sessions
+ * @returns {{title: string, start: number, end: number, coveredSeconds: number, coveragePercent: number, playedSeconds: number, status: string}[]}
+ *   progress per chapter, empty when the video has no chapters or no known length
+ */
+export const summarizeChapters = (chapters = [], totalDuration = 0, sessions = []) => {
+  if (!chapters.length || !totalDuration) return [];
+  const covered = mergeSegments(sessions.flatMap((session) => session.segments || []));
+  const progress = chapters
+    .map((chapter, index) => {
+      const end = Math.min(chapters[index + 1]?.start ?? totalDuration, totalDuration);
+      const coveredSeconds = overlapSeconds(covered, chapter.start, end);
+      const playedSeconds = sum(sessions, (session) => (session.chapterSeconds
+        ? session.chapterSeconds[chapter.start] || 0
+        : overlapSeconds(mergeSegments(session.segments), chapter.start, end)));
+      return {
+        title: chapter.title,
+        start: chapter.start,
+        end,
+        coveredSeconds: Math.round(coveredSeconds),
+        coveragePercent: end > chapter.start ? Math.min(100, Math.round((coveredSeconds / (end - chapter.start)) * 100)) : 0,
+        playedSeconds: Math.round(playedSeconds)
+      };
+    })
+    .filter((chapter) => chapter.end > chapter.start);
+  return progress.map((chapter, index) => ({ ...chapter, status: chapterStatus(chapter, progress.slice(index + 1)) }));
+};
+
+/**
+ * Legacy records (saved before the session log existed) get one synthesized
+ * session built from their summary fields so every caller sees the same shape.
+ * `watchCount` keeps the old rewatchCount, since those earlier watches were
+ * folded into this one entry.
+ * @param {object} video
+ * @returns {object[]} session log entries for the video
+ */
+export const getVideoSessions = (video) => {
+  if (Array.isArray(video?.sessions) && video.sessions.length) {
+    return video.sessions;
+  }
+  if (!video?.watchedAt) return [];
+  return [{
+    sessionId: `${video.videoId}-legacy`,
+    startedAt: video.watchedAt,
+    endedAt: video.watchedAt,
+    watchedSeconds: video.watchedDuration || 0,
+    watchPercent: video.watchPercent || 0,
+    autoplay: Boolean(video.autoplay),
+    sourceTabId: null,
+    watchCount: video.rewatchCount || 1,
+    isLive: Boolean(video.isLive),
+    liveSeconds: video.liveWatchedSeconds || 0
+  }];
+};
+
+/**
+ * Sessions saved before speed tracking count as watched at 1x.
+ * @param {object} session
+ * @returns {{spentSeconds: number, contentSeconds: number}} wall-clock time spent and video time played
+ */
+export const getSessionTimes = (session) => ({
+  spentSeconds: session.spentSeconds ?? session.watchedSeconds ?? 0,
+  contentSeconds: session.contentSeconds ?? session.watchedSeconds ?? 0
+});
+
+/**
+ * @param {object[]} history
+ * @returns {{spentSeconds: number, contentSeconds: number, savedSeconds: number, averageRate: number}}
+ *   totals across every session; savedSeconds is the time speed-watching saved
+ */
+export const calculatePlaybackTimes = (history) => {
+  const totals = history.flatMap(getVideoSessions).map(getSessionTimes).reduce((acc, times) => ({
+    spentSeconds: acc.spentSeconds + times.spentSeconds,
+    contentSeconds: acc.contentSeconds + times.contentSeconds
+  }), { spentSeconds: 0, contentSeconds: 0 });
+  return {
+    ...totals,
+    savedSeconds: Math.max(0, totals.contentSeconds - totals.spentSeconds),
+    averageRate: totals.spentSeconds ? totals.contentSeconds / totals.spentSeconds : 1
+  };
+};
+
+/**
+ * @param {object[]} history
+ * @param {string} contentType one of CONTENT_TYPES, e.g. Shorts or music
+ * @returns {{count: number, sessions: number, spentSeconds: number, loops: number}} totals for that
+ *   type, reported apart from the intentional-watch stats
+ */
+export const calculateContentStats = (history, contentType) => {
+  const matching = history.filter((video) => getContentType(video) === contentType);
+  const sessions = matching.flatMap(getVideoSessions);
+  return {
+    count: matching.length,
+    sessions: sessions.length,
+    spentSeconds: sum(sessions, (session) => getSessionTimes(session).spentSeconds),
+    loops: sum(sessions, (session) => session.loopCount || 0)
+  };
+};
+
+/**
+ * @param {object[]} history
+ * @returns {{count: number, sessions: number, liveSeconds: number}} time spent on streams and
+ *   premieres while they were live, which has no length to measure completion against
+ */
+export const calculateLiveStats = (history) => {
+  const sessions = history.flatMap(getVideoSessions).filter((session) => session.isLive);
+  return {
+    count: history.filter((video) => getVideoSessions(video).some((session) => session.isLive)).length,
+    sessions: sessions.length,
+    liveSeconds: sum(sessions, (session) => session.liveSeconds || 0)
+  };
+};
+
+/**
+ * PATTERN: Session rows — each session is projected onto its video's shape
+ * (watchedAt/watchedDuration/watchPercent) so the per-video aggregators below
+ * can count real sessions without a second code path.
+ * @param {object[]} history
+ * @returns {object[]} one row per watch session
+ */
+export const expandSessions = (history) => history.flatMap((video) => getVideoSessions(video).map((session) => ({
+  ...video,
+  session,
+  watchedAt: session.endedAt,
+  watchedDuration: session.watchedSeconds || 0,
+  watchPercent: session.watchPercent || 0,
+  autoplay: Boolean(session.autoplay)
+})));
+
+/**
+ * PATTERN: Derived summary — totals on the record are recomputed from the
+ * session log so a rewatch never erases what the earlier sessions recorded.
+ * @param {object} summary
+ * @param {object[]} sessions
+ * @returns {object} video record with summary fields synced to its sessions
+ */
+export const summarizeSessions = (summary, sessions) => {
+  const ordered = [...sessions].sort((a, b) => new Date(a.endedAt) - new Date(b.endedAt));
+  if (!ordered.length) return { ...summary, sessions: [] };
+  const latest = ordered[ordered.length - 1];
+  return {
+    ...summary,
+    sessions: ordered,
+    firstWatchedAt: ordered[0].startedAt || ordered[0].endedAt,
+    watchedAt: latest.endedAt,
+    watchedDuration: ordered.reduce((total, session) => total + (session.watchedSeconds || 0), 0),
+    watchPercent: Math.max(...ordered.map((session) => session.watchPercent || 0)),
+    autoplay: Boolean(latest.autoplay),
+    rewatchCount: ordered.reduce((total, session) => total + (session.watchCount || 1), 0),
+    // WHY: the card's segment map shows every part of the video any session played.
+    watchedSegments: mergeSegments(ordered.flatMap((session) => session.segments || [])),
+    // WHY: a record stays unverified only while every session came from an import without watch data.
+    unverified: ordered.every((session) => session.unverified),
+    // WHY: a stream watched live and later as a replay keeps its live flag; the live seconds say how much.
+    isLive: ordered.some((session) => session.isLive),
+    liveWatchedSeconds: ordered.reduce((total, session) => total + (session.liveSeconds || 0), 0),
+    chapterProgress: summarizeChapters(summary.chapters, summary.totalDuration, ordered)
+  };
+};
+
+/**
+ * Groups by resolved channel, so a renamed channel or one seen under both its
+ * id and @handle counts once, under its latest name.
+ * @param {object[]} history
+ * @param {number} limit
+ * @param {object} registry channel registry from storage (see channels.js)
+ * @returns {{key: string, channel: string, watchTime: number}[]} top channels by watch time
+ */
+export const calculateTopChannels = (history, limit = 5, registry = EMPTY_REGISTRY) => {
+  const channelMap = groupBy(history, (video) => resolveChannel(registry, video).key);
+  const ranked = Array.from(channelMap.entries()).map(([key, videos]) => ({
+    key,
+    // WHY: without a registry entry the most recent record carries the current name.
+    channel: resolveChannel(registry, videos.reduce((latest, video) => (video.watchedAt > latest.watchedAt ? video : latest))).name,
     watchTime: sum(videos, (video) => video.watchedDuration || 0)
   }));
   ranked.sort((a, b) => b.watchTime - a.watchTime);
   return ranked.slice(0, limit);
 };
 
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const DROP_OFF_BUCKETS = 10;
+
+/**
+ * PATTERN: Abandonment rate — abandoned starts ÷ (abandoned starts + watch
+ * sessions), per channel and per category. An abandoned video has no category
+ * of its own, so it borrows the one its video has in the history, or else its
+ * channel's most common one.
+ * @param {object[]} abandoned sessions from the sampled store
+ * @param {object[]} history intentional watches
+ * @param {object} registry channel registry from storage (see channels.js)
+ * @param {string|null} since ISO cutoff for watch sessions, so both sides cover the same window
+ * @returns {{abandoned: number, completed: number, rate: number, medianDropOff: number,
+ *   dropOffBuckets: number[], byChannel: object[], byCategory: object[]}} rows are
+ *   {key, name, abandoned, completed, rate, medianDropOff}, most abandoned first
+ */
+export const calculateAbandonment = (abandoned, history, registry = EMPTY_REGISTRY, since = null) => {
+  const channelKey = (video) => resolveChannel(registry, video).key;
+  const videoCategories = new Map(history.map((video) => [video.videoId, video.aiCategory]));
+  const channelCategories = new Map();
+  groupBy(history.filter((video) => video.aiCategory), channelKey).forEach((videos, key) => {
+    const ranked = Array.from(groupBy(videos, (video) => video.aiCategory).entries())
+      .sort((a, b) => b[1].length - a[1].length);
+    channelCategories.set(key, ranked[0][0]);
+  });
+  const categoryOf = (entry) => videoCategories.get(entry.videoId)
+    || channelCategories.get(channelKey(entry))
+    || 'Uncategorized';
+  const sessions = expandSessions(history).filter((row) => !since || row.watchedAt >= since);
+
+  const buildRows = (keyOf, nameOf, completedKeyOf) => {
+    const groups = new Map();
+    abandoned.forEach((entry) => {
+      const key = keyOf(entry);
+      if (!groups.has(key)) groups.set(key, { key, name: nameOf(entry), drops: [], completed: 0 });
+      groups.get(key).drops.push(entry.watchPercent || 0);
+    });
+    sessions.forEach((row) => {
+      const group = groups.get(completedKeyOf(row));
+      if (group) group.completed += 1;
+    });
+    return Array.from(groups.values()).map(({ drops, ...group }) => ({
+      ...group,
+      abandoned: drops.length,
+      rate: drops.length / (drops.length + group.completed),
+      medianDropOff: median(drops)
+    })).sort((a, b) => b.abandoned - a.abandoned || b.rate - a.rate);
+  };
+
+  const dropOffBuckets = new Array(DROP_OFF_BUCKETS).fill(0);
+  abandoned.forEach((entry) => {
+    dropOffBuckets[Math.min(DROP_OFF_BUCKETS - 1, Math.floor(((entry.watchPercent || 0) / 100) * DROP_OFF_BUCKETS))] += 1;
+  });
+  return {
+    abandoned: abandoned.length,
+    completed: sessions.length,
+    rate: abandoned.length ? abandoned.length / (abandoned.length + sessions.length) : 0,
+    medianDropOff: median(abandoned.map((entry) => entry.watchPercent || 0)),
+    dropOffBuckets,
+    byChannel: buildRows(channelKey, (entry) => resolveChannel(registry, entry).name, channelKey),
+    byCategory: buildRows(categoryOf, categoryOf, (row) => row.aiCategory || 'Uncategorized')
+  };
+};
+
 export const calculateCategoryBreakdown = (history) => {
   const map = new Map();
   history.forEach((video) => {
@@ -153,7 +494,7 @@ export const calculateDailyActivity = (history, days = 30) => {
     count: 0
   }));
   const activityMap = new Map(activity.map((entry) => [entry.dateKey, entry]));
-  history.forEach((video) => {
+  expandSessions(history).forEach((video) => {
     const key = getDateKey(video.watchedAt);
     if (activityMap.has(key)) {
       const bucket = activityMap.get(key);
@@ -176,10 +517,21 @@ export const safeMarkdown = (text = '') => {
   return div.innerHTML;
 };
 
+// WHY: safeMarkdown leaves quotes alone, which is fine for text but lets a value
+// (a synced profile name, a scraped channel name) break out of a quoted attribute.
+export const escapeAttribute = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
 export const buildCsv = (rows, headers) => {
   const headerRow = headers.join(',');
   const lines = rows.map((row) => headers.map((key) => {
-    const value = row[key] ?? '';
+    const raw = row[key] ?? '';
+    // WHY: nested values (the session log) stay parseable for CSV re-import.
+    const value = typeof raw === 'object' ? JSON.stringify(raw) : raw;
     const safe = typeof value === 'string' ? value.replace(/"/g, '""') : value;
     return `"${safe}"`;
   }).join(','));
@@ -221,6 +573,44 @@ export const searchVideos = (videos, query) => {
   const lower = query.toLowerCase();
   return videos.filter((video) => (
     video.title?.toLowerCase().includes(lower) ||
-    video.channelName?.toLowerCase().includes(lower)
+    video.channelName?.toLowerCase().includes(lower) ||
+    video.note?.toLowerCase().includes(lower) ||
+    video.description?.toLowerCase().includes(lower) ||
+    (video.tags || []).some((tag) => tag.toLowerCase().includes(lower)) ||
+    (video.keywords || []).some((keyword) => keyword.toLowerCase().includes(lower)) ||
+    (video.chapters || []).some((chapter) => chapter.title.toLowerCase().includes(lower))
   ));
 };
+
+/**
+ * @param {string|string[]|undefined} input comma-separated text or a list
+ * @returns {string[]} trimmed tags, first spelling kept for case-insensitive duplicates
+ */
+export const normalizeTags = (input) => {
+  const raw = Array.isArray(input) ? input : String(input || '').split(',');
+  const seen = new Set();
+  return raw
+    .map((tag) => String(tag).trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * @param {any} value
+ * @returns {number|null} whole-star rating from 1 to 5, null when unrated
+ */
+export const normalizeRating = (value) => {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+/**
+ * @param {object[]} history
+ * @returns {string[]} every tag in use, sorted case-insensitively
+ */
+export const collectTags = (history) => normalizeTags(history.flatMap((video) => video.tags || []))
+  .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
@@ -0,0 +1,365 @@
+/**
+ * importers.js
+ * Pure parsing, validation, and diff helpers for history files coming into the
+ * extension. storage.js uses them to build import previews and apply the
+ * chosen conflict strategy; dashboard.js renders their results.
+ */
+
+import { CONTENT_TYPES, getVideoSessions, normalizeTags } from './helpers.js';
+import { CURRENT_SCHEMA_VERSION } from './migrations.js';
+import { EXPORT_COLUMNS } from './exporters.js';
+import { parseChannelUrl } from './channels.js';
+
+// WHY: const keeps strategy ids identical between the dashboard form and storage.
+export const IMPORT_STRATEGIES = {
+  KEEP_MINE: 'mine',
+  TAKE_THEIRS: 'theirs',
+  NEWEST: 'newest',
+  SUM_REWATCHES: 'sum'
+};
+
+export const IMPORT_OUTCOMES = {
+  NEW: 'new',
+  UPDATED: 'updated',
+  CONFLICT: 'conflict',
+  UNCHANGED: 'unchanged'
+};
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{6,64}$/;
+const COMPARED_FIELDS = ['title', 'channelName', 'channelId', 'totalDuration', 'aiCategory', 'note', 'rating', 'tags'];
+
+// WHY: tags compare as a set, so reordering or re-casing them is not a conflict.
+const comparableValue = (video, field) => (field === 'tags'
+  ? normalizeTags(video.tags).map((tag) => tag.toLowerCase()).sort().join(',')
+  : video[field]);
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const isSegmentList = (segments) => Array.isArray(segments) && segments.every((segment) => Array.isArray(segment)
+  && segment.length === 2 && segment.every(Number.isFinite) && segment[0] <= segment[1]);
+
+const isChapterList = (chapters) => Array.isArray(chapters) && chapters.every((chapter) => typeof chapter?.title === 'string'
+  && Number.isFinite(chapter.start) && chapter.start >= 0);
+
+const checkNumber = (entry, field, reasons, { max = Infinity } = {}) => {
+  const value = entry[field];
+  if (value === undefined || value === null) return;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > max) {
+    reasons.push(`${field} must be a number between 0 and ${max === Infinity ? '∞' : max}`);
+  }
+};
+
+/**
+ * @param {object} entry single imported video record
+ * @returns {string[]} human-readable reasons the entry is invalid (empty when valid)
+ */
+export const validateVideoEntry = (entry) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry is not an object'];
+  }
+  const reasons = [];
+  if (typeof entry.videoId !== 'string' || !VIDEO_ID_PATTERN.test(entry.videoId)) {
+    reasons.push('videoId is missing or malformed');
+  }
+  if (!isValidDate(entry.watchedAt)) {
+    reasons.push('watchedAt is not a valid date');
+  }
+  ['title', 'channelName', 'channelId', 'thumbnail', 'aiCategory', 'note', 'source', 'description', 'publishedAt',
+    'youtubeCategory', 'language'].forEach((field) => {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') {
+      reasons.push(`${field} must be text`);
+    }
+  });
+  checkNumber(entry, 'watchedDuration', reasons);
+  checkNumber(entry, 'totalDuration', reasons);
+  checkNumber(entry, 'watchPercent', reasons, { max: 100 });
+  checkNumber(entry, 'rewatchCount', reasons);
+  checkNumber(entry, 'liveWatchedSeconds', reasons);
+  checkNumber(entry, 'viewCount', reasons);
+  if (entry.rating !== undefined && entry.rating !== null
+    && !(Number.isInteger(entry.rating) && entry.rating >= 1 && entry.rating <= 5)) {
+    reasons.push('rating must be a whole number from 1 to 5');
+  }
+  if (entry.tags !== undefined && entry.tags !== null
+    && !(Array.isArray(entry.tags) && entry.tags.every((tag) => typeof tag === 'string'))) {
+    reasons.push('tags must be a list of text');
+  }
+  if (entry.keywords !== undefined && entry.keywords !== null
+    && !(Array.isArray(entry.keywords) && entry.keywords.every((keyword) => typeof keyword === 'string'))) {
+    reasons.push('keywords must be a list of text');
+  }
+  if (entry.chapters !== undefined && entry.chapters !== null && !isChapterList(entry.chapters)) {
+    reasons.push('chapters must be a list of { title, start } with start in seconds');
+  }
+  if (entry.contentType !== undefined && entry.contentType !== null
+    && !Object.values(CONTENT_TYPES).includes(entry.contentType)) {
+    reasons.push('contentType must be "video", "short" or "music"');
+  }
+  if (entry.sessions !== undefined) {
+    if (!Array.isArray(entry.sessions)) {
+      reasons.push('sessions must be a list');
+    } else if (entry.sessions.some((session) => !session?.sessionId || !isValidDate(session.endedAt))) {
+      reasons.push('sessions contain an entry without sessionId or a valid endedAt');
+    } else if (entry.sessions.some((session) => session.segments !== undefined && !isSegmentList(session.segments))) {
+      reasons.push('session segments must be a list of [start, end] seconds');
+    }
+  }
+  return reasons;
+};
+
+/**
+ * @param {object[]} entries
+ * @returns {{valid: object[], rejected: {row: number, videoId: string, reasons: string[]}[]}} split entries
+ */
+export const validateImportEntries = (entries) => entries.reduce((result, entry, index) => {
+  const reasons = validateVideoEntry(entry);
+  if (reasons.length) {
+    result.rejected.push({
+      row: index + 1,
+      videoId: typeof entry?.videoId === 'string' ? entry.videoId : '',
+      title: typeof entry?.title === 'string' ? entry.title : '',
+      reasons
+    });
+  } else {
+    result.valid.push(entry);
+  }
+  return result;
+}, { valid: [], rejected: [] });
+
+export const sessionKey = (session) => `${session.sessionId}|${session.endedAt}`;
+
+/**
+ * Classifies an incoming entry against what is stored. "Updated" means the
+ * import only adds to the stored record (a fast-forward); "conflict" means both
+ * sides hold data the other lacks or disagree on a field.
+ * @param {object|undefined} existing
+ * @param {object} incoming
+ * @param {{hasSessions?: boolean}} options hasSessions=false for a row that carried no session log
+ *   (e.g. a default CSV export); it is compared on its fields alone
+ * @returns {{outcome: string, fields: string[]}} diff outcome plus conflicting fields
+ */
+export const diffImportEntry = (existing, incoming, { hasSessions = true } = {}) => {
+  if (!existing) return { outcome: IMPORT_OUTCOMES.NEW, fields: [] };
+  const existingKeys = new Set(hasSessions ? getVideoSessions(existing).map(sessionKey) : []);
+  const incomingKeys = new Set(hasSessions ? getVideoSessions(incoming).map(sessionKey) : []);
+  const onlyMine = [...existingKeys].filter((key) => !incomingKeys.has(key)).length;
+  const onlyTheirs = [...incomingKeys].filter((key) => !existingKeys.has(key)).length;
+  const fields = COMPARED_FIELDS.filter((field) => {
+    const mine = comparableValue(existing, field);
+    const theirs = comparableValue(incoming, field);
+    return mine && theirs && mine !== theirs;
+  });
+  const fillsGaps = COMPARED_FIELDS.some((field) => !comparableValue(existing, field) && comparableValue(incoming, field));
+  if (!onlyMine && !onlyTheirs && !fields.length && !fillsGaps) {
+    return { outcome: IMPORT_OUTCOMES.UNCHANGED, fields };
+  }
+  if (!onlyMine && !fields.length) {
+    return { outcome: IMPORT_OUTCOMES.UPDATED, fields };
+  }
+  return { outcome: IMPORT_OUTCOMES.CONFLICT, fields: onlyMine && onlyTheirs ? [...fields, 'sessions'] : fields };
+};
+
+const TAKEOUT_WATCH_PREFIX = /^Watched\s+/;
+const TAKEOUT_AD_MARKER = 'From Google Ads';
+
+const extractVideoId = (url = '') => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname === 'youtu.be') return parsed.pathname.slice(1) || null;
+    return parsed.searchParams.get('v');
+  } catch (error) {
+    return null;
+  }
+};
+
+
+/**
+ * Takeout only records that a watch happened, so the session carries no
+ * seconds or percent and is flagged unverified for stats and filters.
+ * @param {{videoId: string, title: string, channelName: string, channelUrl: string, watchedAt: string}} entry
+ * @returns {object} video record in the extension's shape
+ */
+const buildTakeoutRecord = ({ videoId, title, channelName, channelUrl, watchedAt }) => ({
+  videoId,
+  title: title || 'Unknown title',
+  channelName: channelName || 'Unknown channel',
+  channelUrl: channelUrl || '',
+  // WHY: only a real UC… id goes in channelId; @handle URLs resolve through the channel registry.
+  channelId: parseChannelUrl(channelUrl || '').channelId,
+  thumbnail: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+  watchedAt,
+  autoplay: false,
+  importSource: 'takeout',
+  sessions: [{
+    sessionId: `takeout-${videoId}-${Date.parse(watchedAt)}`,
+    startedAt: watchedAt,
+    endedAt: watchedAt,
+    watchedSeconds: 0,
+    watchPercent: 0,
+    autoplay: false,
+    sourceTabId: null,
+    unverified: true
+  }]
+});
+
+const convertTakeoutEntries = (entries) => entries.reduce((result, entry, index) => {
+  const row = index + 1;
+  const title = (entry.title || '').replace(TAKEOUT_WATCH_PREFIX, '').trim();
+  const skip = (reason) => {
+    result.skipped.push({ row, videoId: '', title, reasons: [reason] });
+    return result;
+  };
+  if (entry.isAd) return skip('ad impression, not a watch');
+  const videoId = extractVideoId(entry.titleUrl);
+  if (!videoId) return skip('no video link (removed or private video)');
+  if (!entry.watchedAt) return skip('watch time could not be read');
+  result.videos.push(buildTakeoutRecord({ ...entry, videoId, title }));
+  return result;
+}, { videos: [], skipped: [] });
+
+/**
+ * @param {any} parsed JSON.parse output of an uploaded file
+ * @returns {boolean} true for Takeout's watch-history.json layout
+ */
+export const isTakeoutHistory = (parsed) => Array.isArray(parsed)
+  && parsed.some((entry) => entry && typeof entry === 'object' && ('titleUrl' in entry || 'header' in entry))
+  && !parsed.some((entry) => entry && typeof entry === 'object' && 'videoId' in entry);
+
+/**
+ * @param {object[]} entries Takeout watch-history.json array
+ * @returns {{videos: object[], skipped: object[]}} mapped records + unmappable rows
+ */
+export const parseTakeoutJson = (entries) => convertTakeoutEntries(entries.map((entry) => ({
+  title: entry?.title,
+  titleUrl: entry?.titleUrl,
+  channelName: entry?.subtitles?.[0]?.name,
+  channelUrl: entry?.subtitles?.[0]?.url,
+  watchedAt: entry?.time && !Number.isNaN(Date.parse(entry.time)) ? new Date(entry.time).toISOString() : null,
+  isAd: Array.isArray(entry?.details) && entry.details.some((detail) => detail?.name === TAKEOUT_AD_MARKER)
+})));
+
+// WHY: the HTML export prints local dates like "Jan 5, 2024, 9:14:03 PM CET"; drop the zone label Date.parse rejects.
+const parseTakeoutDate = (text = '') => {
+  const cleaned = text.replace(/[\u00a0\u202f]/g, ' ').replace(/\s+[A-Z]{2,5}$/, '').trim();
+  const time = Date.parse(cleaned);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/**
+ * @param {Document} doc parsed watch-history.html (DOMParser output)
+ * @returns {{videos: object[], skipped: object[]}} mapped records + unmappable rows
+ */
+export const parseTakeoutHtml = (doc) => {
+  const cells = Array.from(doc.querySelectorAll('.content-cell'))
+    .filter((cell) => TAKEOUT_WATCH_PREFIX.test(cell.textContent.replace(/\u00a0/g, ' ').trim()));
+  return convertTakeoutEntries(cells.map((cell) => {
+    const [videoLink, channelLink] = cell.querySelectorAll('a');
+    const textNodes = Array.from(cell.childNodes)
+      .filter((node) => node.nodeType === Node.TEXT_NODE)
+      .map((node) => node.textContent.trim())
+      .filter(Boolean);
+    return {
+      title: videoLink?.textContent,
+      titleUrl: videoLink?.href,
+      channelName: channelLink?.textContent?.trim(),
+      channelUrl: channelLink?.href,
+      watchedAt: parseTakeoutDate(textNodes[textNodes.length - 1]),
+      isAd: cell.textContent.includes(TAKEOUT_AD_MARKER)
+    };
+  }));
+};
+
+/**
+ * @param {object[]} videos records already in the current schema
+ * @returns {object} envelope importHistory accepts without re-running migrations
+ */
+export const buildImportEnvelope = (videos) => ({
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  videos
+});
+
+/**
+ * Minimal RFC 4180 reader: quoted cells may hold commas, quotes ("") and newlines.
+ * @param {string} text
+ * @returns {string[][]} rows of raw cell text
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^\ufeff/, '');
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+const CSV_COLUMN_TYPES = new Map(EXPORT_COLUMNS.map((column) => [column.key, column.type]));
+
+// WHY: keep unparseable cells as text so validateVideoEntry reports them per row.
+const coerceCsvCell = (type, value) => {
+  switch (type) {
+    case 'number':
+      return Number.isNaN(Number(value)) ? value : Number(value);
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    default:
+      return value;
+  }
+};
+
+/**
+ * Reads a CSV written by the exporter (any column subset, any order).
+ * Blank cells are left out so they never overwrite stored values.
+ * @param {string} text
+ * @returns {object[]} video records for importHistory
+ */
+export const parseCsvHistory = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map((key) => key.trim());
+  if (!keys.includes('videoId')) {
+    throw new Error('CSV needs a videoId column');
+  }
+  return rows.map((cells) => keys.reduce((video, key, index) => {
+    const value = cells[index]?.trim();
+    if (key && value) {
+      video[key] = coerceCsvCell(CSV_COLUMN_TYPES.get(key), value);
+    }
+    return video;
+  }, {}));
+};
@@ -0,0 +1,139 @@
+/**
+ * migrations.js
+ * Ordered, pure schema migrations for stored videos, settings, and report cache.
+ * storage.js runs them against live data (service worker onInstalled) and
+ * against imported export files so older shapes are upgraded the same way.
+ */
+
+import { CONTENT_TYPES, getVideoSessions, summarizeSessions } from './helpers.js';
+
+// WHY: data written before versioning existed has no schemaVersion and is treated as v1.
+export const BASE_SCHEMA_VERSION = 1;
+
+/**
+ * PATTERN: Migration list — each entry upgrades state from `version - 1` to
+ * `version`. `up` receives `{ videos, settings, reportCache }` and must return
+ * a new state without mutating its input so the runner can roll back.
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add per-video session log and derived summary fields',
+    up: (state) => ({
+      ...state,
+      videos: state.videos.map((video) => summarizeSessions(video, getVideoSessions(video)))
+    })
+  },
+  {
+    version: 3,
+    description: 'Backfill tracker payload fields on older entries',
+    up: (state) => ({
+      ...state,
+      videos: state.videos.map((video) => ({
+        ...video,
+        title: video.title || 'Unknown title',
+        channelName: video.channelName || 'Unknown channel',
+        channelId: video.channelId || '',
+        thumbnail: video.thumbnail || `https://i.ytimg.com/vi/${video.videoId}/hqdefault.jpg`,
+        totalDuration: video.totalDuration || 0,
+        autoplay: Boolean(video.autoplay),
+        aiCategory: video.aiCategory ?? null,
+        aiCategoryConfidence: video.aiCategoryConfidence ?? null
+      }))
+    })
+  },
+  {
+    version: 4,
+    description: 'Mark entries saved before Shorts tracking as regular videos',
+    up: (state) => ({
+      ...state,
+      videos: state.videos.map((video) => ({
+        ...video,
+        contentType: video.contentType || CONTENT_TYPES.VIDEO
+      }))
+    })
+  },
+  {
+    version: 5,
+    description: 'Record youtube.com as the source of entries saved before embed tracking',
+    up: (state) => ({
+      ...state,
+      // WHY: imported entries never came from the tracker, so their site is unknown.
+      videos: state.videos.map((video) => (video.source || video.importSource
+        ? video
+        : { ...video, source: 'youtube.com' }))
+    })
+  },
+  {
+    version: 6,
+    description: 'Mark entries saved before live stream tracking as not live',
+    up: (state) => ({
+      ...state,
+      videos: state.videos.map((video) => ({
+        ...video,
+        isLive: Boolean(video.isLive),
+        liveWatchedSeconds: video.liveWatchedSeconds || 0
+      }))
+    })
+  },
+  {
+    version: 7,
+    description: 'Give entries saved before player-response metadata empty keyword and chapter lists',
+    up: (state) => ({
+      ...state,
+      // WHY: description, publish date, views and the rest cannot be recovered for
+      // old entries; readers treat a missing field as unknown.
+      videos: state.videos.map((video) => ({
+        ...video,
+        keywords: video.keywords || [],
+        chapters: video.chapters || []
+      }))
+    })
+  },
+  {
+    version: 8,
+    description: 'Derive per-chapter progress from the session log',
+    up: (state) => ({
+      ...state,
+      videos: state.videos.map((video) => summarizeSessions(video, getVideoSessions(video)))
+    })
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Applies every migration newer than `fromVersion`, stopping at the first one
+ * that throws. The returned state/version reflect the last migration that
+ * succeeded, so callers can persist that and discard the failed step.
+ * @param {object} state { videos, settings, reportCache }
+ * @param {number} fromVersion
+ * @returns {{state: object, version: number, entries: object[], failed: boolean}} migration outcome
+ */
+export const migrateState = (state, fromVersion = BASE_SCHEMA_VERSION) => {
+  let current = { ...state, videos: Array.isArray(state.videos) ? state.videos : [] };
+  let version = fromVersion;
+  const entries = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    try {
+      current = migration.up(current);
+      version = migration.version;
+      entries.push({
+        version: migration.version,
+        description: migration.description,
+        status: 'applied',
+        records: current.videos.length
+      });
+    } catch (error) {
+      entries.push({
+        version: migration.version,
+        description: migration.description,
+        status: 'failed',
+        error: error.message
+      });
+      return { state: current, version, entries, failed: true };
+    }
+  }
+  return { state: current, version, entries, failed: false };
+};
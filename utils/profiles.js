@@ -0,0 +1,143 @@
+/**
+ * profiles.js
+ * Pure helpers for tracking profiles (e.g. Work and Personal). Each profile
+ * keeps its own IndexedDB history; thresholds and AI settings can differ per
+ * profile while retention, trash, and sync settings stay global. storage.js
+ * stores the profile list and resolves which profile a call applies to.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// WHY: a dashboard view over every profile at once; never stored as the active profile.
+export const ALL_PROFILES = 'all';
+
+// WHY: only these fields differ between profiles; everything else is shared.
+export const PROFILE_SETTINGS = [
+  'minWatchPercent',
+  'minWatchTimeSeconds',
+  'watchTimeBasis',
+  'trackShorts',
+  'shortsMinWatchPercent',
+  'shortsMinWatchSeconds',
+  'trackMusic',
+  'musicMinWatchPercent',
+  'musicMinWatchSeconds',
+  'trackAutoplay',
+  'countHiddenTime',
+  'aiFeaturesEnabled',
+  'openRouterApiKey'
+];
+
+export const SCHEDULE_PRESETS = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6]
+};
+
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Personal',
+  settings: {},
+  schedule: null,
+  account: ''
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const normalizeSchedule = (schedule) => {
+  if (!schedule || !Array.isArray(schedule.days) || !schedule.days.length) return null;
+  if (!TIME_PATTERN.test(schedule.start) || !TIME_PATTERN.test(schedule.end)) return null;
+  return {
+    days: schedule.days.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6),
+    start: schedule.start,
+    end: schedule.end
+  };
+};
+
+const pickProfileSettings = (settings = {}) => Object.fromEntries(PROFILE_SETTINGS
+  .filter((field) => settings[field] !== undefined)
+  .map((field) => [field, settings[field]]));
+
+/**
+ * @param {object[]|undefined} profiles stored list
+ * @returns {object[]} valid profiles, always starting with the default one
+ */
+export const normalizeProfiles = (profiles) => {
+  const stored = Array.isArray(profiles) ? profiles : [];
+  const storedDefault = stored.find((profile) => profile?.id === DEFAULT_PROFILE_ID);
+  const others = stored.filter((profile) => profile?.id
+    && profile.id !== DEFAULT_PROFILE_ID
+    && profile.id !== ALL_PROFILES
+    && typeof profile.name === 'string');
+  return [{ ...DEFAULT_PROFILE, ...storedDefault, settings: {} }, ...others].map((profile) => ({
+    id: profile.id,
+    name: profile.name.trim() || 'Unnamed profile',
+    settings: pickProfileSettings(profile.settings),
+    schedule: normalizeSchedule(profile.schedule),
+    account: typeof profile.account === 'string' ? profile.account : ''
+  }));
+};
+
+/**
+ * The default profile uses the global settings directly; other profiles
+ * layer their own thresholds and AI settings on top.
+ * @param {object} settings global settings
+ * @param {object|undefined} profile
+ * @returns {object} settings in effect for the profile
+ */
+export const applyProfileSettings = (settings, profile) => ({
+  ...settings,
+  ...(profile?.id === DEFAULT_PROFILE_ID ? {} : pickProfileSettings(profile?.settings))
+});
+
+/**
+ * @param {object} settings fields being saved
+ * @returns {{profile: object, global: object}} per-profile fields and shared fields
+ */
+export const splitProfileSettings = (settings) => ({
+  profile: pickProfileSettings(settings),
+  global: Object.fromEntries(Object.entries(settings).filter(([field]) => !PROFILE_SETTINGS.includes(field)))
+});
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * @param {{days: number[], start: string, end: string}|null} schedule local-time window;
+ *   an end before the start runs past midnight
+ * @param {Date} date
+ * @returns {boolean} true while the schedule is in effect
+ */
+export const isScheduleActive = (schedule, date = new Date()) => {
+  if (!schedule) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOf(schedule.start);
+  const end = minutesOf(schedule.end);
+  if (start <= end) {
+    return schedule.days.includes(date.getDay()) && now >= start && now < end;
+  }
+  // WHY: an overnight window belongs to the day it started on.
+  const yesterday = (date.getDay() + 6) % 7;
+  return (schedule.days.includes(date.getDay()) && now >= start)
+    || (schedule.days.includes(yesterday) && now < end);
+};
+
+/**
+ * PATTERN: Most specific wins — the signed-in YouTube account beats a schedule.
+ * @param {object[]} profiles normalized list
+ * @param {{account?: string, date?: Date}} context
+ * @returns {string} profile id the rules point at, the default profile when none match
+ */
+export const pickAutoProfile = (profiles, { account = '', date = new Date() } = {}) => {
+  const byAccount = account && profiles.find((profile) => profile.account && profile.account === account);
+  const bySchedule = profiles.find((profile) => isScheduleActive(profile.schedule, date));
+  return (byAccount || bySchedule)?.id || DEFAULT_PROFILE_ID;
+};
+
+/**
+ * @param {object[]} profiles normalized list
+ * @returns {boolean} true when any profile switches automatically
+ */
+export const hasAutoRules = (profiles) => profiles.some((profile) => profile.schedule || profile.account);
@@ -0,0 +1,150 @@
+/**
+ * quota.js
+ * Pure storage accounting: estimates how many bytes each kind of data uses,
+ * projects when the browser quota fills at the current watch rate, and
+ * compacts records by dropping derivable fields and rolling up old sessions.
+ * storage.js feeds it records and commits compaction results.
+ */
+
+import {
+  getVideoSessions,
+  summarizeSessions,
+  getThumbnailUrl,
+  mergeSegments,
+  calculatePlaybackTimes
+} from './helpers.js';
+
+export const QUOTA_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+const WARNING_RATIO = 0.8;
+const CRITICAL_RATIO = 0.95;
+const WARNING_DAYS_LEFT = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+
+/**
+ * @param {any} value
+ * @returns {number} UTF-8 size of the JSON form, a close proxy for stored size
+ */
+export const measureBytes = (value) => (value === undefined || value === null
+  ? 0
+  : encoder.encode(JSON.stringify(value)).length);
+
+/**
+ * @param {object[]} videos
+ * @param {{reports?: any[], archive?: object[], trash?: object[]}} extras
+ * @returns {{videos: number, sessions: number, thumbnails: number, reports: number, archive: number, trash: number}} bytes per data kind
+ */
+export const measureUsageByKind = (videos, {
+  reports = [],
+  archive = [],
+  trash = [],
+  sampled = []
+} = {}) => videos.reduce((kinds, video) => {
+  const { sessions, thumbnail, ...summary } = video;
+  kinds.videos += measureBytes(summary);
+  kinds.sessions += measureBytes(sessions);
+  kinds.thumbnails += measureBytes(thumbnail);
+  return kinds;
+}, {
+  videos: 0,
+  sessions: 0,
+  thumbnails: 0,
+  reports: reports.reduce((total, report) => total + measureBytes(report), 0),
+  archive: measureBytes(archive),
+  trash: measureBytes(trash),
+  sampled: measureBytes(sampled)
+});
+
+/**
+ * PATTERN: Linear projection — growth = recent sessions/day × average bytes per
+ * session, so a quiet month projects further out than a busy one.
+ * @param {{usage: number, quota: number, bytesPerSession: number, sessionsPerDay: number}} input
+ * @param {number} now epoch ms
+ * @returns {{level: string, ratio: number, bytesPerDay: number, daysUntilFull: number|null, fullAt: string|null}} quota outlook
+ */
+export const projectQuota = ({ usage, quota, bytesPerSession, sessionsPerDay }, now = Date.now()) => {
+  const ratio = quota ? usage / quota : 0;
+  const bytesPerDay = Math.round(bytesPerSession * sessionsPerDay);
+  const daysUntilFull = quota && bytesPerDay ? Math.max(0, Math.floor((quota - usage) / bytesPerDay)) : null;
+  let level = QUOTA_LEVELS.OK;
+  if (ratio >= CRITICAL_RATIO) {
+    level = QUOTA_LEVELS.CRITICAL;
+  } else if (ratio >= WARNING_RATIO || (daysUntilFull !== null && daysUntilFull <= WARNING_DAYS_LEFT)) {
+    level = QUOTA_LEVELS.WARNING;
+  }
+  return {
+    level,
+    ratio,
+    bytesPerDay,
+    daysUntilFull,
+    fullAt: daysUntilFull === null ? null : new Date(now + daysUntilFull * DAY_MS).toISOString()
+  };
+};
+
+// WHY: summing every pass keeps a chapter played in two old sessions marked as rewatched after compaction.
+const sumChapterSeconds = (sessions) => {
+  const withChapters = sessions.filter((session) => session.chapterSeconds);
+  if (!withChapters.length) return null;
+  return withChapters.reduce((totals, session) => {
+    Object.entries(session.chapterSeconds).forEach(([start, seconds]) => {
+      totals[start] = (totals[start] || 0) + seconds;
+    });
+    return totals;
+  }, {});
+};
+
+// WHY: watchCount keeps rewatchCount exact after many sessions collapse into one;
+// the time totals keep the speed-watching stats exact too.
+const rollUpSessions = (videoId, sessions) => {
+  const { spentSeconds, contentSeconds, averageRate } = calculatePlaybackTimes([{ sessions }]);
+  const chapterSeconds = sumChapterSeconds(sessions);
+  return {
+    sessionId: `${videoId}-compacted-${Date.parse(sessions[sessions.length - 1].endedAt)}`,
+    startedAt: sessions[0].startedAt || sessions[0].endedAt,
+    endedAt: sessions[sessions.length - 1].endedAt,
+    watchedSeconds: sessions.reduce((total, session) => total + (session.watchedSeconds || 0), 0),
+    watchPercent: Math.max(...sessions.map((session) => session.watchPercent || 0)),
+    autoplay: sessions.every((session) => session.autoplay),
+    watchCount: sessions.reduce((total, session) => total + (session.watchCount || 1), 0),
+    segments: mergeSegments(sessions.flatMap((session) => session.segments || [])),
+    spentSeconds,
+    contentSeconds,
+    playbackRate: Math.round(averageRate * 100) / 100,
+    isLive: sessions.some((session) => session.isLive),
+    liveSeconds: sessions.reduce((total, session) => total + (session.liveSeconds || 0), 0),
+    ...(chapterSeconds ? { chapterSeconds } : {}),
+    ...(sessions.every((session) => session.unverified) ? { unverified: true } : {})
+  };
+};
+
+const dropEmptyFields = (session) => Object.fromEntries(Object.entries(session)
+  .filter(([, value]) => value !== null && value !== undefined));
+
+/**
+ * @param {object} video
+ * @param {{dropThumbnail?: boolean, trimBefore?: string|null}} options trimBefore is an ISO cutoff;
+ *   sessions that ended earlier are rolled up into one entry
+ * @returns {object|null} compacted record, or null when nothing changed
+ */
+export const compactVideo = (video, { dropThumbnail = false, trimBefore = null } = {}) => {
+  let changed = false;
+  const next = { ...video };
+  // WHY: only the standard URL is derivable; a custom thumbnail would be lost for good.
+  if (dropThumbnail && next.thumbnail && next.thumbnail === getThumbnailUrl({ videoId: video.videoId })) {
+    delete next.thumbnail;
+    changed = true;
+  }
+  const sessions = getVideoSessions(video).map(dropEmptyFields);
+  const old = trimBefore ? sessions.filter((session) => session.endedAt < trimBefore) : [];
+  if (old.length > 1) {
+    const recent = sessions.filter((session) => session.endedAt >= trimBefore);
+    return summarizeSessions(next, [rollUpSessions(video.videoId, old), ...recent]);
+  }
+  return changed ? next : null;
+};
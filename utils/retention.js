@@ -0,0 +1,113 @@
+/**
+ * retention.js
+ * Pure retention planning: works out which watch sessions have outlived their
+ * window (default, custom days, or a per-category / per-channel override) and
+ * folds expired sessions into monthly aggregates for archive mode. The
+ * service worker runs the plan daily; storage.js commits it.
+ */
+
+import { RETENTION_WINDOWS, getVideoSessions, summarizeSessions } from './helpers.js';
+
+export const RETENTION_MODES = {
+  DELETE: 'delete',
+  ARCHIVE: 'archive'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {object} settings
+ * @returns {number|null} default window in days, null to keep everything
+ */
+export const getDefaultRetentionDays = (settings) => {
+  if (settings.dataRetention === 'custom') {
+    return Number(settings.retentionDays) > 0 ? Number(settings.retentionDays) : null;
+  }
+  return RETENTION_WINDOWS[settings.dataRetention] ?? null;
+};
+
+/**
+ * PATTERN: Most specific wins — channel override, then category override, then the default.
+ * @param {object} settings
+ * @param {object} video
+ * @returns {number|null} days to keep this video's sessions, null for forever
+ */
+export const resolveRetentionDays = (settings, video) => {
+  const overrides = settings.retentionOverrides || [];
+  const channel = overrides.find((rule) => rule.type === 'channel'
+    && (rule.name === video.channelName || rule.name === video.channelId));
+  const category = overrides.find((rule) => rule.type === 'category'
+    && rule.name === (video.aiCategory || 'Uncategorized'));
+  const rule = channel || category;
+  if (rule) return rule.days > 0 ? rule.days : null;
+  return getDefaultRetentionDays(settings);
+};
+
+/**
+ * @param {object[]} history
+ * @param {object} settings
+ * @param {number} now epoch ms
+ * @returns {{kept: object[], removed: string[], expired: object[]}} videos to rewrite,
+ *   videoIds to delete, and the expired sessions (with their video's metadata)
+ */
+export const planRetention = (history, settings, now = Date.now()) => history.reduce((plan, video) => {
+  const days = resolveRetentionDays(settings, video);
+  if (!days) return plan;
+  const cutoff = now - days * DAY_MS;
+  const sessions = getVideoSessions(video);
+  const recent = sessions.filter((session) => new Date(session.endedAt).getTime() >= cutoff);
+  if (recent.length === sessions.length) return plan;
+  sessions
+    .filter((session) => !recent.includes(session))
+    .forEach((session) => plan.expired.push({ video, session }));
+  if (recent.length) {
+    plan.kept.push(summarizeSessions(video, recent));
+  } else {
+    plan.removed.push(video.videoId);
+  }
+  return plan;
+}, { kept: [], removed: [], expired: [] });
+
+const emptyAggregate = (month) => ({
+  month,
+  sessions: 0,
+  watchSeconds: 0,
+  videoIds: [],
+  categories: {},
+  channels: {}
+});
+
+const addTo = (bucket, key, count, seconds) => {
+  const entry = bucket[key] || { sessions: 0, watchSeconds: 0 };
+  bucket[key] = { sessions: entry.sessions + count, watchSeconds: entry.watchSeconds + seconds };
+};
+
+/**
+ * Archive mode: folds expired sessions into per-month totals so long-term
+ * stats survive after per-video detail is dropped.
+ * @param {{video: object, session: object}[]} expired from planRetention
+ * @param {Map<string, object>} existing stored aggregates keyed by YYYY-MM
+ * @returns {object[]} aggregates that changed, ready to store
+ */
+export const buildMonthlyAggregates = (expired, existing = new Map()) => {
+  const touched = new Map();
+  expired.forEach(({ video, session }) => {
+    const month = session.endedAt.slice(0, 7);
+    const aggregate = touched.get(month) || { ...emptyAggregate(month), ...existing.get(month) };
+    const seconds = session.watchedSeconds || 0;
+    // WHY: a legacy session stands for every watch folded into it.
+    const count = session.watchCount || 1;
+    aggregate.sessions += count;
+    aggregate.watchSeconds += seconds;
+    // WHY: a video's sessions can expire across several runs; keep its id so it counts once per month.
+    if (!aggregate.videoIds.includes(video.videoId)) {
+      aggregate.videoIds = [...aggregate.videoIds, video.videoId];
+    }
+    aggregate.categories = { ...aggregate.categories };
+    aggregate.channels = { ...aggregate.channels };
+    addTo(aggregate.categories, video.aiCategory || 'Uncategorized', count, seconds);
+    addTo(aggregate.channels, video.channelName || 'Unknown', count, seconds);
+    touched.set(month, aggregate);
+  });
+  return Array.from(touched.values());
+};
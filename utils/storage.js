@@ -1,105 +1,724 @@
 /**
  * storage.js
- * Centralized chrome.storage access so every script calls consistent, resilient
- * data helpers. Communicates with background, popup, dashboard, and content
- * scripts that import these functions to avoid repetitive Storage API code.
+ * Centralized storage access so every script calls consistent, resilient data
+ * helpers. Watch history lives in IndexedDB (via db.js); settings and report
+ * cache stay in chrome.storage.local. Communicates with background, popup, and
+ * dashboard scripts that import these functions to avoid repetitive Storage API code.
  */
 
+import {
+  getVideoSessions,
+  expandSessions,
+  summarizeSessions,
+  mergeSegments,
+  calculatePlaybackTimes,
+  calculateContentStats,
+  calculateLiveStats,
+  getContentType,
+  CONTENT_TYPES
+} from './helpers.js';
+import {
+  STORES,
+  getAllRecords,
+  getRecordsInRange,
+  getPage,
+  putRecords,
+  runTransaction,
+  requestToPromise,
+  deleteDatabase
+} from './db.js';
+import { BASE_SCHEMA_VERSION, CURRENT_SCHEMA_VERSION, migrateState } from './migrations.js';
+import { RETENTION_MODES, planRetention, buildMonthlyAggregates } from './retention.js';
+import { QUOTA_LEVELS, measureUsageByKind, projectQuota, compactVideo } from './quota.js';
+import {
+  DEFAULT_PROFILE_ID,
+  normalizeProfiles,
+  applyProfileSettings,
+  splitProfileSettings,
+  pickAutoProfile,
+  hasAutoRules
+} from './profiles.js';
+import {
+  UNCATEGORIZED,
+  normalizeCategories,
+  buildCategoryOverride,
+  planCategoryEdit
+} from './categories.js';
+import {
+  normalizeRegistry,
+  registerChannel,
+  mergeChannels,
+  unmergeChannel
+} from './channels.js';
+import {
+  SYNC_KEYS,
+  buildSyncedSettings,
+  mergeSyncedSettings,
+  buildDigestChunks,
+  digestKey,
+  readRemoteDigests
+} from './sync.js';
+import {
+  IMPORT_STRATEGIES,
+  IMPORT_OUTCOMES,
+  validateImportEntries,
+  diffImportEntry,
+  sessionKey
+} from './importers.js';
+
 // WHY: const keeps key names immutable across imports to prevent typo bugs.
 const STORAGE_KEYS = {
   VIDEOS: 'videos',
   SETTINGS: 'settings',
-  REPORT: 'reportCache'
+  REPORT: 'reportCache',
+  HISTORY_REVISION: 'historyRevision',
+  SCHEMA_VERSION: 'schemaVersion',
+  MIGRATION_LOG: 'migrationLog',
+  SETTINGS_MODIFIED: 'settingsModified',
+  DEVICE_ID: 'deviceId',
+  DIGEST_WATERMARKS: 'digestWatermarks',
+  PROFILES: 'profiles',
+  ACTIVE_PROFILE: 'activeProfileId',
+  AUTO_PROFILE: 'autoProfileId',
+  LAST_ACCOUNT: 'lastSeenAccount',
+  CATEGORIES: 'categories',
+  CHANNELS: 'channelRegistry'
 };
 
+// WHY: a synced digest carries no title or channel, so its new records get this placeholder.
+export const SYNCED_PLACEHOLDER_TITLE = 'Watched on another device';
+
+// WHY: IndexedDB has no change events, so UIs watch this chrome.storage key instead.
+export const HISTORY_CHANGE_KEY = STORAGE_KEYS.HISTORY_REVISION;
+export const PROFILE_CHANGE_KEYS = [STORAGE_KEYS.PROFILES, STORAGE_KEYS.ACTIVE_PROFILE];
+export const CATEGORY_CHANGE_KEY = STORAGE_KEYS.CATEGORIES;
+export const CHANNEL_CHANGE_KEY = STORAGE_KEYS.CHANNELS;
+
 const DEFAULT_SETTINGS = {
   minWatchPercent: 40,
   minWatchTimeSeconds: 300,
   trackAutoplay: true,
   countHiddenTime: true,
+  watchTimeBasis: 'spent',
+  trackShorts: true,
+  shortsMinWatchPercent: 90,
+  shortsMinWatchSeconds: 60,
+  trackMusic: false,
+  musicMinWatchPercent: 50,
+  musicMinWatchSeconds: 60,
+  trackAbandoned: true,
   dataRetention: 'all',
+  retentionDays: 365,
+  retentionMode: 'delete',
+  retentionOverrides: [],
+  trashRetentionDays: 30,
   openRouterApiKey: '',
   aiFeaturesEnabled: true,
-  trackingEnabled: true
+  trackingEnabled: true,
+  syncEnabled: false,
+  syncApiKey: false,
+  syncHistoryDigest: false
 };
 
+const WRITE_LOCK_NAME = 'yt-true-history:write';
+const MIGRATION_LOG_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RATE_WINDOW_DAYS = 30;
+// WHY: abandoned sessions are kept only long enough to show patterns, and capped
+// so an evening of channel-surfing cannot grow the store without bound.
+export const SAMPLED_RETENTION_DAYS = 14;
+const SAMPLED_MAX_ENTRIES = 1000;
+
+export const TRASH_KINDS = {
+  VIDEO: 'video',
+  SNAPSHOT: 'snapshot'
+};
+
+let legacyMigration = null;
+let localWriteChain = Promise.resolve();
+let mergedView = false;
+
 // PATTERN: Defensive storage — always watch quota to warn users before writes fail.
+// The popup and dashboard surface the same levels through getQuotaStatus/getStorageReport.
 const warnIfStorageLarge = async () => {
   try {
-    const bytes = await chrome.storage.local.getBytesInUse(null);
-    if (bytes >= 4 * 1024 * 1024) {
-      console.warn('storage nearing 4MB quota; consider exporting/deleting data');
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const { level } = projectQuota({ usage, quota, bytesPerSession: 0, sessionsPerDay: 0 });
+    if (level !== QUOTA_LEVELS.OK) {
+      console.warn('storage nearing quota; consider exporting/deleting data');
     }
   } catch (error) {
-    console.error('storage.getBytesInUse failed', error);
+    console.error('storage.estimate failed', error);
+  }
+};
+
+const estimateQuota = async () => {
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.error('storage.estimate failed', error);
+    return { usage: 0, quota: 0 };
+  }
+};
+
+const countSessions = (videos) => videos.reduce((total, video) => total + getVideoSessions(video).length, 0);
+
+// WHY: only sessions inside the window count toward the rate, even on videos first watched earlier.
+const recentSessionsPerDay = (videos, now) => {
+  const since = new Date(now - RATE_WINDOW_DAYS * DAY_MS).toISOString();
+  const recent = videos.reduce((total, video) => total + getVideoSessions(video)
+    .filter((session) => session.endedAt >= since).length, 0);
+  return recent / RATE_WINDOW_DAYS;
+};
+
+/**
+ * Moves the pre-IndexedDB `videos` array out of chrome.storage.local. Safe to
+ * run from several contexts at once: puts are keyed by videoId and the legacy
+ * key is only removed after the IndexedDB transaction commits.
+ * @returns {Promise<number>} count of migrated records
+ */
+const migrateLegacyVideos = async () => {
+  const result = await chrome.storage.local.get({ [STORAGE_KEYS.VIDEOS]: null });
+  const legacy = result[STORAGE_KEYS.VIDEOS];
+  if (!Array.isArray(legacy)) return 0;
+  const records = legacy.filter((video) => video?.videoId);
+  await putRecords(STORES.VIDEOS, records, { profileId: DEFAULT_PROFILE_ID });
+  await chrome.storage.local.remove(STORAGE_KEYS.VIDEOS);
+  return records.length;
+};
+
+/**
+ * @returns {Promise<void>} resolves once legacy chrome.storage history is in IndexedDB
+ */
+export const initStorage = () => {
+  if (!legacyMigration) {
+    legacyMigration = migrateLegacyVideos()
+      .then((count) => {
+        if (count) {
+          console.info(`storage migrated ${count} videos to IndexedDB`);
+          return notifyHistoryChanged();
+        }
+        return undefined;
+      })
+      .catch((error) => {
+        legacyMigration = null;
+        console.error('storage.migrateLegacyVideos failed', error);
+      });
   }
+  return legacyMigration;
+};
+
+const notifyHistoryChanged = () => chrome.storage.local.set({ [STORAGE_KEYS.HISTORY_REVISION]: Date.now() });
+
+const readProfileState = async () => {
+  const result = await chrome.storage.local.get({
+    [STORAGE_KEYS.PROFILES]: [],
+    [STORAGE_KEYS.ACTIVE_PROFILE]: DEFAULT_PROFILE_ID
+  });
+  const profiles = normalizeProfiles(result[STORAGE_KEYS.PROFILES]);
+  const stored = result[STORAGE_KEYS.ACTIVE_PROFILE];
+  const activeId = profiles.some((profile) => profile.id === stored) ? stored : DEFAULT_PROFILE_ID;
+  return { profiles, activeId };
+};
+
+/**
+ * @returns {Promise<string>} profile every read and write applies to
+ */
+const resolveProfileId = async () => (await readProfileState()).activeId;
+
+const reportKey = (profileId) => (profileId === DEFAULT_PROFILE_ID
+  ? STORAGE_KEYS.REPORT
+  : `${STORAGE_KEYS.REPORT}:${profileId}`);
+
+// WHY: each profile has its own database, so each records the schema its videos are in.
+const schemaKey = (profileId) => (profileId === DEFAULT_PROFILE_ID
+  ? STORAGE_KEYS.SCHEMA_VERSION
+  : `${STORAGE_KEYS.SCHEMA_VERSION}:${profileId}`);
+
+/**
+ * The dashboard's "All profiles" view: history, archive and stats reads in
+ * this context combine every profile (records carry their `profileId`).
+ * Writes go to the active profile unless the call names one, so only edits
+ * that pass a record's `profileId` (notes, ratings, tags) are offered there.
+ * @param {boolean} enabled
+ */
+export const setMergedView = (enabled) => {
+  mergedView = Boolean(enabled);
+};
+
+/**
+ * @param {string} storeName
+ * @returns {Promise<object[]>} the active profile's records, or every profile's in the merged view
+ */
+const readStore = async (storeName) => {
+  await initStorage();
+  const { profiles, activeId } = await readProfileState();
+  if (!mergedView) {
+    return getAllRecords(storeName, activeId);
+  }
+  const lists = await Promise.all(profiles.map(async (profile) => (await getAllRecords(storeName, profile.id))
+    .map((record) => ({ ...record, profileId: profile.id }))));
+  return lists.flat();
 };
 
 const getVideos = async () => {
   try {
-    const result = await chrome.storage.local.get({ [STORAGE_KEYS.VIDEOS]: [] });
-    return Array.isArray(result[STORAGE_KEYS.VIDEOS]) ? result[STORAGE_KEYS.VIDEOS] : [];
+    return await readStore(STORES.VIDEOS);
   } catch (error) {
     console.error('storage.getVideos failed', error);
     return [];
   }
 };
 
-const setVideos = async (videos) => {
-  try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.VIDEOS]: videos });
-    await warnIfStorageLarge();
-  } catch (error) {
-    console.error('storage.setVideos failed', error);
+/**
+ * PATTERN: Serialized writes — the Web Locks API is shared by the service
+ * worker, popup, and dashboard, so only one mutation runs at a time across all
+ * of them. The promise chain is a same-context fallback where locks are missing.
+ * @param {() => Promise<any>} task
+ * @returns {Promise<any>} task result
+ */
+const withWriteLock = (task) => {
+  if (navigator.locks?.request) {
+    return navigator.locks.request(WRITE_LOCK_NAME, task);
   }
+  const run = localWriteChain.then(task, task);
+  localWriteChain = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Runs `work` inside one readwrite transaction over `storeNames` while holding
+ * the write lock, then notifies listening UIs. Errors propagate so callers can
+ * tell the user instead of silently losing a write.
+ * @param {string[]} storeNames
+ * @param {(transaction: IDBTransaction) => Promise<any>} work
+ * @param {string|null} profileId target profile, the active one when null
+ * @returns {Promise<any>} value returned by `work`
+ */
+const commitChanges = async (storeNames, work, profileId = null) => {
+  await initStorage();
+  const target = profileId || await resolveProfileId();
+  const result = await withWriteLock(() => runTransaction(storeNames, work, target));
+  await notifyHistoryChanged();
+  await warnIfStorageLarge();
+  return result;
 };
 
 /**
- * @returns {Promise<object>} saved settings merged with defaults
+ * @param {(store: IDBObjectStore) => Promise<any>} work receives the videos store
+ * @param {string|null} profileId target profile, the active one when null
+ * @returns {Promise<any>} value returned by `work`
+ */
+const commitVideoChanges = (work, profileId = null) => commitChanges(
+  [STORES.VIDEOS],
+  (transaction) => work(transaction.objectStore(STORES.VIDEOS)),
+  profileId
+);
+
+const readGlobalSettings = async () => {
+  const result = await chrome.storage.local.get({ [STORAGE_KEYS.SETTINGS]: DEFAULT_SETTINGS });
+  return { ...DEFAULT_SETTINGS, ...(result[STORAGE_KEYS.SETTINGS] || {}) };
+};
+
+/**
+ * @returns {Promise<object>} saved settings merged with defaults and the active profile's overrides
  */
 export const getSettings = async () => {
   try {
-    const result = await chrome.storage.local.get({ [STORAGE_KEYS.SETTINGS]: DEFAULT_SETTINGS });
-    return { ...DEFAULT_SETTINGS, ...(result[STORAGE_KEYS.SETTINGS] || {}) };
+    const [settings, { profiles, activeId }] = await Promise.all([readGlobalSettings(), readProfileState()]);
+    return applyProfileSettings(settings, profiles.find((profile) => profile.id === activeId));
   } catch (error) {
     console.error('getSettings failed', error);
     return { ...DEFAULT_SETTINGS };
   }
 };
 
+const getSettingsModified = async () => {
+  const result = await chrome.storage.local.get({ [STORAGE_KEYS.SETTINGS_MODIFIED]: {} });
+  return result[STORAGE_KEYS.SETTINGS_MODIFIED] || {};
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
 /**
- * @param {object} newSettings
+ * Merges into the stored settings and stamps every field whose value changed,
+ * so sync can resolve conflicts per field instead of per save. Thresholds and
+ * AI settings land on the active profile when it is not the default one.
+ * @param {object} newSettings full settings or just the fields to change
  * @returns {Promise<void>} persist merged settings safely
  */
 export const saveSettings = async (newSettings) => {
+  let merged;
   try {
-    const merged = { ...DEFAULT_SETTINGS, ...newSettings };
-    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: merged });
+    const [current, modified, { profiles, activeId }] = await Promise.all([
+      readGlobalSettings(),
+      getSettingsModified(),
+      readProfileState()
+    ]);
+    const split = activeId === DEFAULT_PROFILE_ID
+      ? { profile: {}, global: newSettings }
+      : splitProfileSettings(newSettings);
+    merged = { ...current, ...split.global };
+    const now = Date.now();
+    Object.keys(merged).forEach((field) => {
+      if (!isSameValue(merged[field], current[field])) modified[field] = now;
+    });
+    const updates = {
+      [STORAGE_KEYS.SETTINGS]: merged,
+      [STORAGE_KEYS.SETTINGS_MODIFIED]: modified
+    };
+    if (Object.keys(split.profile).length) {
+      updates[STORAGE_KEYS.PROFILES] = profiles.map((profile) => (profile.id === activeId
+        ? { ...profile, settings: { ...profile.settings, ...split.profile } }
+        : profile));
+    }
+    await chrome.storage.local.set(updates);
   } catch (error) {
     console.error('saveSettings failed', error);
+    throw error;
+  }
+  // WHY: the local save already succeeded; an offline or over-quota sync must not undo it.
+  if (merged.syncEnabled) {
+    await syncSettings().catch(() => {});
   }
 };
 
 /**
- * @param {object} video
- * @returns {Promise<object>} saved video echo so callers can chain logic
+ * @returns {Promise<{profiles: object[], activeId: string}>} tracking profiles, default first
+ */
+export const getProfiles = async () => {
+  try {
+    return await readProfileState();
+  } catch (error) {
+    console.error('getProfiles failed', error);
+    return { profiles: normalizeProfiles([]), activeId: DEFAULT_PROFILE_ID };
+  }
+};
+
+/**
+ * @param {string} profileId
+ * @returns {Promise<void>} makes the profile the one tracking and the UIs use
+ */
+export const setActiveProfile = async (profileId) => {
+  try {
+    const { profiles } = await readProfileState();
+    if (!profiles.some((profile) => profile.id === profileId)) {
+      throw new Error('That profile no longer exists');
+    }
+    await chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_PROFILE]: profileId });
+  } catch (error) {
+    console.error('setActiveProfile failed', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves the edited profile list. New profiles (no known id) start with the
+ * current thresholds and AI settings; profiles left out are deleted together
+ * with their history, trash and archive.
+ * @param {{id?: string, name: string, schedule?: object|null, account?: string}[]} edited
+ * @returns {Promise<object[]>} normalized profiles as stored
  */
-export const saveVideo = async (video) => {
-  try {
-    const videos = await getVideos();
-    const existingIndex = videos.findIndex((item) => item.videoId === video.videoId);
-    if (existingIndex >= 0) {
-      const existing = videos[existingIndex];
-      videos[existingIndex] = {
-        ...existing,
-        ...video,
-        rewatchCount: (existing.rewatchCount || 1) + 1,
-        watchedAt: video.watchedAt
+export const saveProfiles = async (edited = []) => {
+  try {
+    const [{ profiles, activeId }, effective] = await Promise.all([readProfileState(), getSettings()]);
+    const next = normalizeProfiles(edited.map((profile) => {
+      const existing = profiles.find((item) => item.id === profile.id);
+      if (existing) {
+        return { ...existing, name: profile.name, schedule: profile.schedule, account: profile.account };
+      }
+      return {
+        ...profile,
+        id: `profile-${crypto.randomUUID().slice(0, 8)}`,
+        settings: splitProfileSettings(effective).profile
       };
-    } else {
-      videos.push({ ...video, rewatchCount: video.rewatchCount || 1 });
+    }));
+    const removed = profiles.filter((profile) => !next.some((item) => item.id === profile.id));
+    const added = next.filter((profile) => !profiles.some((item) => item.id === profile.id));
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.PROFILES]: next,
+      // WHY: a new profile's database starts empty, so it is already on the current schema.
+      ...Object.fromEntries(added.map((profile) => [schemaKey(profile.id), CURRENT_SCHEMA_VERSION])),
+      ...(removed.some((profile) => profile.id === activeId) ? { [STORAGE_KEYS.ACTIVE_PROFILE]: DEFAULT_PROFILE_ID } : {})
+    });
+    for (const profile of removed) {
+      await deleteDatabase(profile.id);
+      await chrome.storage.local.remove([reportKey(profile.id), schemaKey(profile.id)]);
+    }
+    return next;
+  } catch (error) {
+    console.error('saveProfiles failed', error);
+    throw error;
+  }
+};
+
+/**
+ * @returns {Promise<string>} signed-in YouTube account last reported by the tracker, '' when signed out
+ */
+export const getLastSeenAccount = async () => {
+  const result = await chrome.storage.local.get({ [STORAGE_KEYS.LAST_ACCOUNT]: '' });
+  return result[STORAGE_KEYS.LAST_ACCOUNT];
+};
+
+/**
+ * PATTERN: Edge-triggered switching — the active profile only changes when
+ * the rule outcome changes (a schedule starts or ends, another account signs
+ * in), so a manual pick in the popup sticks until then.
+ * @param {{account?: string|null, date?: Date}} context account is null when the tracker could not tell
+ * @returns {Promise<string>} active profile id after applying the rules
+ */
+export const applyAutoProfile = async ({ account = null, date = new Date() } = {}) => {
+  try {
+    const [{ profiles, activeId }, stored] = await Promise.all([
+      readProfileState(),
+      chrome.storage.local.get({ [STORAGE_KEYS.AUTO_PROFILE]: null, [STORAGE_KEYS.LAST_ACCOUNT]: '' })
+    ]);
+    const known = account ?? stored[STORAGE_KEYS.LAST_ACCOUNT];
+    const updates = {};
+    if (known !== stored[STORAGE_KEYS.LAST_ACCOUNT]) {
+      updates[STORAGE_KEYS.LAST_ACCOUNT] = known;
+    }
+    if (hasAutoRules(profiles)) {
+      const target = pickAutoProfile(profiles, { account: known, date });
+      if (target !== stored[STORAGE_KEYS.AUTO_PROFILE]) {
+        updates[STORAGE_KEYS.AUTO_PROFILE] = target;
+        if (target !== activeId) updates[STORAGE_KEYS.ACTIVE_PROFILE] = target;
+      }
+    }
+    if (Object.keys(updates).length) {
+      await chrome.storage.local.set(updates);
+    }
+    return updates[STORAGE_KEYS.ACTIVE_PROFILE] || activeId;
+  } catch (error) {
+    console.error('applyAutoProfile failed', error);
+    return DEFAULT_PROFILE_ID;
+  }
+};
+
+/**
+ * @returns {Promise<string>} stable random id that tells this device's sync items apart
+ */
+const getDeviceId = async () => {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.DEVICE_ID);
+  if (result[STORAGE_KEYS.DEVICE_ID]) return result[STORAGE_KEYS.DEVICE_ID];
+  const deviceId = crypto.randomUUID();
+  await chrome.storage.local.set({ [STORAGE_KEYS.DEVICE_ID]: deviceId });
+  return deviceId;
+};
+
+/**
+ * PATTERN: Pull, merge, push — newer remote fields are applied locally, then
+ * the merged result is written back only if this device knows something newer.
+ * Runs on every local save, on sync changes, and daily.
+ * @returns {Promise<string[]>} setting names taken from other devices
+ */
+export const syncSettings = async () => {
+  try {
+    // WHY: per-profile overrides stay on this device; sync carries the shared settings.
+    const settings = await readGlobalSettings();
+    if (!settings.syncEnabled) return [];
+    const [modified, deviceId, items] = await Promise.all([
+      getSettingsModified(),
+      getDeviceId(),
+      chrome.storage.sync.get(SYNC_KEYS.SETTINGS)
+    ]);
+    const remote = items[SYNC_KEYS.SETTINGS];
+    const merge = mergeSyncedSettings(settings, modified, remote);
+    if (merge.pulled.length) {
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.SETTINGS]: merge.settings,
+        [STORAGE_KEYS.SETTINGS_MODIFIED]: merge.modified
+      });
+    }
+    if (merge.pushNeeded) {
+      await chrome.storage.sync.set({
+        [SYNC_KEYS.SETTINGS]: buildSyncedSettings(merge.settings, merge.modified, deviceId, remote)
+      });
+    }
+    return merge.pulled;
+  } catch (error) {
+    console.error('syncSettings failed', error);
+    throw error;
+  }
+};
+
+/**
+ * Publishes this device's digest, or removes it when digest sync is off.
+ * Unchanged items are not rewritten because sync writes are rate limited.
+ * @returns {Promise<number>} videos included in the digest
+ */
+export const pushHistoryDigest = async () => {
+  try {
+    const [settings, deviceId, items] = await Promise.all([getSettings(), getDeviceId(), chrome.storage.sync.get(null)]);
+    // WHY: digests only cover the default profile, so work history never leaks into another device's personal view.
+    await initStorage();
+    const chunks = settings.syncEnabled && settings.syncHistoryDigest
+      ? buildDigestChunks(await getAllRecords(STORES.VIDEOS, DEFAULT_PROFILE_ID))
+      : [];
+    const keys = chunks.map((chunk, index) => digestKey(deviceId, index));
+    const ownPrefix = digestKey(deviceId, '');
+    const stale = Object.keys(items).filter((key) => key.startsWith(ownPrefix) && !keys.includes(key));
+    if (stale.length) {
+      await chrome.storage.sync.remove(stale);
+    }
+    const changed = keys
+      .map((key, index) => [key, chunks[index]])
+      .filter(([key, chunk]) => !isSameValue(items[key], chunk));
+    if (changed.length) {
+      await chrome.storage.sync.set(Object.fromEntries(changed));
     }
-    await setVideos(videos);
+    return chunks.reduce((total, chunk) => total + chunk.length, 0);
+  } catch (error) {
+    console.error('pushHistoryDigest failed', error);
+    throw error;
+  }
+};
+
+const buildSyncedSession = (entry) => ({
+  sessionId: entry.sessionId,
+  startedAt: entry.watchedAt,
+  endedAt: entry.watchedAt,
+  watchedSeconds: 0,
+  watchPercent: 0,
+  autoplay: false,
+  sourceTabId: null,
+  unverified: true,
+  syncedFrom: entry.deviceId
+});
+
+/**
+ * Folds other devices' digests into local history as unverified sessions.
+ * WHY: only entries newer than the last merge per device are applied, so a
+ * video deleted or expired here is not resurrected by an old digest.
+ * @returns {Promise<number>} sessions added
+ */
+export const mergeRemoteDigests = async () => {
+  try {
+    const settings = await getSettings();
+    if (!settings.syncEnabled || !settings.syncHistoryDigest) return 0;
+    const [deviceId, items, stored] = await Promise.all([
+      getDeviceId(),
+      chrome.storage.sync.get(null),
+      chrome.storage.local.get({ [STORAGE_KEYS.DIGEST_WATERMARKS]: {} })
+    ]);
+    const watermarks = { ...stored[STORAGE_KEYS.DIGEST_WATERMARKS] };
+    const entries = readRemoteDigests(items, deviceId)
+      .filter((entry) => entry.watchedAt > (watermarks[entry.deviceId] || ''));
+    if (!entries.length) return 0;
+    const added = await commitVideoChanges(async (store) => {
+      let count = 0;
+      for (const entry of entries) {
+        const existing = await requestToPromise(store.get(entry.videoId));
+        if (getVideoSessions(existing).some((session) => session.sessionId === entry.sessionId)) continue;
+        const session = buildSyncedSession(entry);
+        if (existing) {
+          const category = !existing.aiCategory && entry.aiCategory ? { aiCategory: entry.aiCategory } : {};
+          store.put(mergeVideoRecords(existing, { ...category, sessions: [session] }));
+        } else {
+          store.put(summarizeSessions({
+            videoId: entry.videoId,
+            title: SYNCED_PLACEHOLDER_TITLE,
+            channelName: 'Unknown channel',
+            aiCategory: entry.aiCategory || null,
+            importSource: 'sync'
+          }, [session]));
+        }
+        count += 1;
+      }
+      return count;
+    }, DEFAULT_PROFILE_ID);
+    entries.forEach((entry) => {
+      if (entry.watchedAt > (watermarks[entry.deviceId] || '')) watermarks[entry.deviceId] = entry.watchedAt;
+    });
+    await chrome.storage.local.set({ [STORAGE_KEYS.DIGEST_WATERMARKS]: watermarks });
+    return added;
+  } catch (error) {
+    console.error('mergeRemoteDigests failed', error);
+    throw error;
+  }
+};
+
+// WHY: session fields live on the log entry, not on the summary record.
+const SESSION_ONLY_FIELDS = [
+  'sessionId',
+  'sessionStartedAt',
+  'sourceTabId',
+  'watchedSegments',
+  'timeSpentSeconds',
+  'contentSeconds',
+  'playbackRate',
+  'loopCount',
+  'liveWatchedSeconds',
+  'chapterSeconds'
+];
+
+const buildSession = (video) => ({
+  sessionId: video.sessionId || `${video.videoId}-${Date.parse(video.watchedAt) || Date.now()}`,
+  startedAt: video.sessionStartedAt || video.watchedAt,
+  endedAt: video.watchedAt,
+  watchedSeconds: video.watchedDuration || 0,
+  watchPercent: video.watchPercent || 0,
+  autoplay: Boolean(video.autoplay),
+  sourceTabId: video.sourceTabId ?? null,
+  segments: mergeSegments(video.watchedSegments),
+  spentSeconds: video.timeSpentSeconds ?? null,
+  contentSeconds: video.contentSeconds ?? null,
+  playbackRate: video.playbackRate ?? null,
+  loopCount: video.loopCount ?? null,
+  isLive: Boolean(video.isLive),
+  liveSeconds: video.liveWatchedSeconds ?? null,
+  // WHY: a session that never saw the chapter list attributes nothing; its segments stand in.
+  chapterSeconds: video.chapterSeconds && Object.keys(video.chapterSeconds).length ? video.chapterSeconds : null,
+  // WHY: the same video can be watched on YouTube one day and in an embed the next.
+  source: video.source ?? null
+});
+
+// WHY: unknown (null/undefined) incoming values must not erase what the stored record knows.
+const stripSessionFields = (video) => {
+  const summary = { ...video };
+  SESSION_ONLY_FIELDS.forEach((field) => delete summary[field]);
+  Object.keys(summary).forEach((field) => {
+    if (summary[field] === null || summary[field] === undefined) delete summary[field];
+  });
+  return summary;
+};
+
+/**
+ * @param {object} existing
+ * @param {object} incoming
+ * @returns {object} merged record whose session log is the union of both
+ */
+const mergeVideoRecords = (existing, incoming) => summarizeSessions(
+  { ...existing, ...stripSessionFields(incoming) },
+  unionSessions(existing, incoming)
+);
+
+const unionSessions = (existing, incoming) => {
+  const sessionMap = new Map();
+  [...getVideoSessions(existing), ...getVideoSessions(incoming)].forEach((session) => {
+    sessionMap.set(session.sessionId, session);
+  });
+  return Array.from(sessionMap.values());
+};
+
+// WHY: the avatar lives once in the channel registry instead of on every record.
+const buildIncomingRecord = ({ channelAvatar, ...video }) => summarizeSessions(stripSessionFields(video), [buildSession(video)]);
+
+/**
+ * @param {object} video payload from the tracker, including session fields
+ * @param {string|null} profileId target profile, the active one when null
+ * @returns {Promise<object>} saved video echo so callers can chain logic
+ */
+export const saveVideo = async (video, profileId = null) => {
+  try {
+    const incoming = buildIncomingRecord(video);
+    await commitVideoChanges(async (store) => {
+      const existing = await requestToPromise(store.get(video.videoId));
+      store.put(existing ? mergeVideoRecords(existing, incoming) : incoming);
+    }, profileId);
+    // WHY: the watch is already saved; a registry hiccup must not report it as lost.
+    await recordChannel(video).catch((error) => console.error('recordChannel failed', error));
     return video;
   } catch (error) {
     console.error('saveVideo failed', error);
@@ -107,40 +726,545 @@ export const saveVideo = async (video) => {
   }
 };
 
+/**
+ * Replaces a session the tracker already saved with its final numbers. A
+ * session that was never saved (e.g. skipped by settings) is not created.
+ * @param {object} video payload from the tracker for the same sessionId
+ * @param {string|null} profileId profile the session was saved to, the active one when null
+ * @returns {Promise<boolean>} true when the session was found and updated
+ */
+export const updateSessionProgress = async (video, profileId = null) => {
+  try {
+    let updated = false;
+    await commitVideoChanges(async (store) => {
+      const existing = await requestToPromise(store.get(video.videoId));
+      if (!existing || !getVideoSessions(existing).some((session) => session.sessionId === video.sessionId)) return;
+      store.put(mergeVideoRecords(existing, buildIncomingRecord(video)));
+      updated = true;
+    }, profileId);
+    return updated;
+  } catch (error) {
+    console.error('updateSessionProgress failed', error);
+    throw error;
+  }
+};
+
+/**
+ * Keeps a session that ended below the thresholds in the sampled store. It
+ * stays out of the history and its stats unless it is promoted.
+ * @param {object} video payload from the tracker, including session fields
+ * @returns {Promise<void>} resolves once the sample is stored
+ */
+export const saveAbandonedSession = async (video) => {
+  try {
+    const { channelAvatar, rewatchCount, aiCategory, aiCategoryConfidence, ...entry } = video;
+    await commitChanges([STORES.SAMPLED], async (transaction) => {
+      const sampled = transaction.objectStore(STORES.SAMPLED);
+      sampled.put(entry);
+      const count = await requestToPromise(sampled.count());
+      if (count > SAMPLED_MAX_ENTRIES) {
+        const oldest = await requestToPromise(sampled.index('watchedAt').getAllKeys(null, count - SAMPLED_MAX_ENTRIES));
+        oldest.forEach((key) => sampled.delete(key));
+      }
+    });
+  } catch (error) {
+    console.error('saveAbandonedSession failed', error);
+    throw error;
+  }
+};
+
+/**
+ * @returns {Promise<object[]>} abandoned sessions, newest first
+ */
+export const getAbandonedSessions = async () => {
+  try {
+    const entries = await readStore(STORES.SAMPLED);
+    return entries.sort((a, b) => b.watchedAt.localeCompare(a.watchedAt));
+  } catch (error) {
+    console.error('getAbandonedSessions failed', error);
+    return [];
+  }
+};
+
+/**
+ * Moves an abandoned session into the history as a real watch, merged with
+ * the video's record when it already has one.
+ * @param {string} sessionId
+ * @param {string|null} profileId owning profile, the active one when null
+ * @returns {Promise<object>} the promoted entry
+ */
+export const promoteAbandonedSession = async (sessionId, profileId = null) => {
+  try {
+    const entry = await commitChanges([STORES.VIDEOS, STORES.SAMPLED], async (transaction) => {
+      const sampled = transaction.objectStore(STORES.SAMPLED);
+      const found = await requestToPromise(sampled.get(sessionId));
+      if (!found) return null;
+      const videos = transaction.objectStore(STORES.VIDEOS);
+      const incoming = buildIncomingRecord(found);
+      const existing = await requestToPromise(videos.get(found.videoId));
+      videos.put(existing ? mergeVideoRecords(existing, incoming) : incoming);
+      sampled.delete(sessionId);
+      return found;
+    }, profileId);
+    if (!entry) {
+      throw new Error('That session is no longer in the abandoned list');
+    }
+    await recordChannel(entry).catch((error) => console.error('recordChannel failed', error));
+    return entry;
+  } catch (error) {
+    console.error('promoteAbandonedSession failed', error);
+    throw error;
+  }
+};
+
+const readChannelRegistry = async () => {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.CHANNELS);
+  return normalizeRegistry(result[STORAGE_KEYS.CHANNELS]);
+};
+
+/**
+ * @returns {Promise<object>} channel registry shared by every profile (see channels.js)
+ */
+export const getChannelRegistry = async () => {
+  try {
+    return await readChannelRegistry();
+  } catch (error) {
+    console.error('getChannelRegistry failed', error);
+    return normalizeRegistry(null);
+  }
+};
+
+// PATTERN: Serialized writes — the registry is read-modify-write, so it shares the history write lock.
+// A failed read throws instead of falling back, so an empty registry never overwrites the stored one.
+// WHY: the registry is shared by every profile's database, so it cannot join a video's
+// transaction; a change returns the same object when there is nothing to store.
+const updateChannelRegistry = (change) => withWriteLock(async () => {
+  const current = await readChannelRegistry();
+  const next = change(current);
+  if (next !== current) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.CHANNELS]: next });
+  }
+  return next;
+});
+
+const recordChannel = (video) => updateChannelRegistry((registry) => registerChannel(registry, video, video.watchedAt));
+
+/**
+ * Folds one channel into another for stats, filters and reports; records
+ * keep their original channel fields, so the merge can be undone.
+ * @param {string} sourceKey
+ * @param {string} targetKey
+ * @returns {Promise<object>} updated registry
+ */
+export const mergeChannel = async (sourceKey, targetKey) => {
+  try {
+    return await updateChannelRegistry((registry) => mergeChannels(registry, sourceKey, targetKey));
+  } catch (error) {
+    console.error('mergeChannel failed', error);
+    throw error;
+  }
+};
+
+/**
+ * @param {string} key channel that was merged away
+ * @returns {Promise<object>} updated registry
+ */
+export const undoChannelMerge = async (key) => {
+  try {
+    return await updateChannelRegistry((registry) => unmergeChannel(registry, key));
+  } catch (error) {
+    console.error('undoChannelMerge failed', error);
+    throw error;
+  }
+};
+
 /**
  * @returns {Promise<object[]>} entire watch history array
  */
 export const getHistory = async () => getVideos();
 
+/**
+ * @param {{start?: string, end?: string}} range ISO timestamps, both inclusive
+ * @returns {Promise<object[]>} videos whose latest watch falls inside the range
+ */
+export const getVideosInRange = async ({ start, end } = {}) => {
+  try {
+    if (mergedView) {
+      return (await getVideos()).filter((video) => (!start || video.watchedAt >= start) && (!end || video.watchedAt <= end));
+    }
+    await initStorage();
+    return await getRecordsInRange(STORES.VIDEOS, 'watchedAt', { lower: start, upper: end }, await resolveProfileId());
+  } catch (error) {
+    console.error('getVideosInRange failed', error);
+    return [];
+  }
+};
+
+/**
+ * PATTERN: Cursor pagination — pass the returned `nextCursor` back to fetch the
+ * following page without loading the whole history.
+ * @param {object} options
+ * @param {'watchedAt'|'channelName'|'aiCategory'|'videoId'} options.indexName
+ * @param {'next'|'prev'} options.direction defaults to newest first
+ * @param {number} options.limit page size
+ * @param {object|null} options.cursor nextCursor from the previous page
+ * @param {{lower?: any, upper?: any, only?: any}|null} options.range
+ * @returns {Promise<{items: object[], nextCursor: object|null}>} one page of videos
+ */
+export const getHistoryPage = async ({
+  indexName = 'watchedAt',
+  direction = 'prev',
+  limit = 50,
+  cursor = null,
+  range = null
+} = {}) => {
+  try {
+    await initStorage();
+    const profileId = await resolveProfileId();
+    return await getPage(STORES.VIDEOS, { indexName, direction, limit, cursor, range, profileId });
+  } catch (error) {
+    console.error('getHistoryPage failed', error);
+    return { items: [], nextCursor: null };
+  }
+};
+
+/**
+ * Applies many partial updates in a single commit, e.g. a batch of AI
+ * categorization results. Either every update lands or none do.
+ * @param {{videoId: string, updates: object}[]} batch
+ * @param {string|null} profileId profile the videos belong to, the active one when null
+ * @returns {Promise<{updated: number, missing: string[]}>} outcome of the batch
+ */
+export const updateVideos = async (batch = [], profileId = null) => {
+  if (!batch.length) return { updated: 0, missing: [] };
+  try {
+    return await commitVideoChanges(async (store) => {
+      const missing = [];
+      let updated = 0;
+      for (const { videoId, updates } of batch) {
+        const existing = await requestToPromise(store.get(videoId));
+        if (existing) {
+          store.put({ ...existing, ...updates });
+          updated += 1;
+        } else {
+          missing.push(videoId);
+        }
+      }
+      return { updated, missing };
+    }, profileId);
+  } catch (error) {
+    console.error('updateVideos failed', error);
+    throw error;
+  }
+};
+
 /**
  * PATTERN: Storage abstraction — UIs call this instead of chrome.storage.
  * @param {string} videoId
  * @param {object} updates
- * @returns {Promise<void>} video entry updated in-place
+ * @param {string|null} profileId profile the video belongs to, the active one when null
+ * @returns {Promise<boolean>} false when the video no longer exists
  */
-export const updateVideo = async (videoId, updates) => {
+export const updateVideo = async (videoId, updates, profileId = null) => {
+  const { updated } = await updateVideos([{ videoId, updates }], profileId);
+  return updated > 0;
+};
+
+/**
+ * AI-only variant of updateVideos: records whose category was set by hand
+ * keep it. The lock is read inside the write transaction, so a manual pick
+ * made while a job was running still wins.
+ * @param {{videoId: string, category: string, confidence: string}[]} batch
+ * @param {string|null} profileId profile the videos belong to, the active one when null
+ * @returns {Promise<{updated: number, missing: string[], locked: number}>} outcome of the batch
+ */
+export const saveAiCategories = async (batch = [], profileId = null) => {
+  if (!batch.length) return { updated: 0, missing: [], locked: 0 };
   try {
-    const videos = await getVideos();
-    const index = videos.findIndex((video) => video.videoId === videoId);
-    if (index === -1) return;
-    videos[index] = { ...videos[index], ...updates };
-    await setVideos(videos);
+    return await commitVideoChanges(async (store) => {
+      const missing = [];
+      let updated = 0;
+      let locked = 0;
+      for (const { videoId, category, confidence } of batch) {
+        const existing = await requestToPromise(store.get(videoId));
+        if (!existing) {
+          missing.push(videoId);
+        } else if (existing.categoryLocked) {
+          locked += 1;
+        } else {
+          store.put({ ...existing, aiCategory: category, aiCategoryConfidence: confidence });
+          updated += 1;
+        }
+      }
+      return { updated, missing, locked };
+    }, profileId);
   } catch (error) {
-    console.error('updateVideo failed', error);
+    console.error('saveAiCategories failed', error);
+    throw error;
   }
 };
 
 /**
+ * @returns {Promise<{name: string, color: string}[]>} the user's category list, shared by every profile
+ */
+export const getCategories = async () => {
+  try {
+    const result = await chrome.storage.local.get({ [STORAGE_KEYS.CATEGORIES]: [] });
+    return normalizeCategories(result[STORAGE_KEYS.CATEGORIES]);
+  } catch (error) {
+    console.error('getCategories failed', error);
+    return normalizeCategories([]);
+  }
+};
+
+const relabelArchiveMonth = (month, moves) => {
+  const categories = {};
+  Object.entries(month.categories || {}).forEach(([name, totals]) => {
+    const target = moves.get(name) || name;
+    const entry = categories[target] || { sessions: 0, watchSeconds: 0 };
+    categories[target] = { sessions: entry.sessions + totals.sessions, watchSeconds: entry.watchSeconds + totals.watchSeconds };
+  });
+  return { ...month, categories };
+};
+
+// WHY: a rule for a removed category would otherwise start applying to Uncategorized videos.
+const relabelOverrides = (overrides = [], moves) => overrides.reduce((rules, rule) => {
+  const target = rule.type === 'category' && moves.has(rule.name) ? moves.get(rule.name) : rule.name;
+  if (target === UNCATEGORIZED && target !== rule.name) return rules;
+  if (rules.some((other) => other.type === rule.type && other.name === target)) return rules;
+  return [...rules, { ...rule, name: target }];
+}, []);
+
+/**
+ * Saves the edited category list and relabels what used the old names in
+ * every profile: video records, archived monthly totals and category
+ * retention overrides. Videos whose category was removed go back to
+ * Uncategorized and are unlocked so AI can pick a new one.
+ * @param {{name: string, color: string, originalName?: string, mergeInto?: string}[]} edited editor rows
+ * @returns {Promise<{categories: object[], relabeled: number}>} stored list + count of videos moved
+ */
+export const saveCategories = async (edited = []) => {
+  try {
+    const [current, { profiles }, settings] = await Promise.all([getCategories(), readProfileState(), readGlobalSettings()]);
+    const { categories, moves } = planCategoryEdit(current, edited);
+    let relabeled = 0;
+    if (moves.size) {
+      for (const profile of profiles) {
+        relabeled += await commitChanges([STORES.VIDEOS, STORES.ARCHIVE], async (transaction) => {
+          const videos = transaction.objectStore(STORES.VIDEOS);
+          const archive = transaction.objectStore(STORES.ARCHIVE);
+          const moved = (await requestToPromise(videos.getAll())).filter((video) => moves.has(video.aiCategory));
+          moved.forEach((video) => {
+            const target = moves.get(video.aiCategory);
+            videos.put({ ...video, ...(target === UNCATEGORIZED ? buildCategoryOverride(null) : { aiCategory: target }) });
+          });
+          (await requestToPromise(archive.getAll()))
+            .filter((month) => Object.keys(month.categories || {}).some((name) => moves.has(name)))
+            .forEach((month) => archive.put(relabelArchiveMonth(month, moves)));
+          return moved.length;
+        }, profile.id);
+      }
+      const overrides = relabelOverrides(settings.retentionOverrides, moves);
+      if (!isSameValue(overrides, settings.retentionOverrides)) {
+        await saveSettings({ retentionOverrides: overrides });
+      }
+    }
+    await chrome.storage.local.set({ [STORAGE_KEYS.CATEGORIES]: categories });
+    return { categories, relabeled };
+  } catch (error) {
+    console.error('saveCategories failed', error);
+    throw error;
+  }
+};
+
+const buildTrashEntry = (kind, videos, extra = {}) => {
+  const deletedAt = new Date().toISOString();
+  return {
+    trashId: `${kind}-${Date.parse(deletedAt)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    deletedAt,
+    count: videos.length,
+    videos,
+    ...extra
+  };
+};
+
+/**
+ * PATTERN: Soft delete — the record moves to the trash store in the same
+ * transaction, so it is never lost between the two writes.
  * @param {string} videoId
- * @returns {Promise<void>} removes the target video completely
+ * @returns {Promise<string|null>} trash entry id for undo, null if the video was already gone
  */
 export const deleteVideo = async (videoId) => {
   try {
-    const videos = await getVideos();
-    const filtered = videos.filter((video) => video.videoId !== videoId);
-    await setVideos(filtered);
+    return await commitChanges([STORES.VIDEOS, STORES.TRASH], async (transaction) => {
+      const videos = transaction.objectStore(STORES.VIDEOS);
+      const existing = await requestToPromise(videos.get(videoId));
+      if (!existing) return null;
+      const entry = buildTrashEntry(TRASH_KINDS.VIDEO, [existing], { label: existing.title || videoId });
+      transaction.objectStore(STORES.TRASH).put(entry);
+      videos.delete(videoId);
+      return entry.trashId;
+    });
   } catch (error) {
     console.error('deleteVideo failed', error);
+    throw error;
+  }
+};
+
+/**
+ * Clear-all that can be undone: snapshots every video, the monthly archive,
+ * and the cached report into one trash entry, then empties history.
+ * Abandoned samples are dropped outright; they expire within days anyway.
+ * @returns {Promise<string|null>} trash entry id, null when there was nothing to clear
+ */
+export const moveAllToTrash = async () => {
+  try {
+    const reportCache = await getCachedReport();
+    const trashId = await commitChanges([STORES.VIDEOS, STORES.ARCHIVE, STORES.TRASH, STORES.SAMPLED], async (transaction) => {
+      transaction.objectStore(STORES.SAMPLED).clear();
+      const videos = transaction.objectStore(STORES.VIDEOS);
+      const archiveStore = transaction.objectStore(STORES.ARCHIVE);
+      const snapshot = await requestToPromise(videos.getAll());
+      const archive = await requestToPromise(archiveStore.getAll());
+      if (!snapshot.length && !archive.length && !reportCache) return null;
+      const entry = buildTrashEntry(TRASH_KINDS.SNAPSHOT, snapshot, {
+        label: `Clear all (${snapshot.length} videos)`,
+        archive,
+        reportCache
+      });
+      transaction.objectStore(STORES.TRASH).put(entry);
+      videos.clear();
+      archiveStore.clear();
+      return entry.trashId;
+    });
+    if (trashId) {
+      await chrome.storage.local.remove(reportKey(await resolveProfileId()));
+    }
+    return trashId;
+  } catch (error) {
+    console.error('moveAllToTrash failed', error);
+    throw error;
+  }
+};
+
+/**
+ * @returns {Promise<object[]>} trash entries, newest first
+ */
+export const getTrash = async () => {
+  try {
+    await initStorage();
+    const entries = await getAllRecords(STORES.TRASH, await resolveProfileId());
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  } catch (error) {
+    console.error('getTrash failed', error);
+    return [];
+  }
+};
+
+/**
+ * Puts the entry's videos back. A video re-watched since it was deleted is
+ * merged with the restored copy, so neither session log is lost.
+ * @param {string} trashId
+ * @returns {Promise<number>} count of restored videos
+ */
+export const restoreFromTrash = async (trashId) => {
+  try {
+    const entry = await commitChanges([STORES.VIDEOS, STORES.ARCHIVE, STORES.TRASH], async (transaction) => {
+      const trash = transaction.objectStore(STORES.TRASH);
+      const found = await requestToPromise(trash.get(trashId));
+      if (!found) return null;
+      const videos = transaction.objectStore(STORES.VIDEOS);
+      for (const video of found.videos) {
+        const existing = await requestToPromise(videos.get(video.videoId));
+        videos.put(existing ? mergeVideoRecords(existing, video) : video);
+      }
+      const archiveStore = transaction.objectStore(STORES.ARCHIVE);
+      for (const month of found.archive || []) {
+        // WHY: months archived since the clear already hold newer totals; keep them.
+        const existing = await requestToPromise(archiveStore.get(month.month));
+        if (!existing) archiveStore.put(month);
+      }
+      trash.delete(trashId);
+      return found;
+    });
+    if (!entry) {
+      throw new Error('That item is no longer in the trash');
+    }
+    if (entry.reportCache && !(await getCachedReport())) {
+      await saveReport(entry.reportCache);
+    }
+    return entry.videos.length;
+  } catch (error) {
+    console.error('restoreFromTrash failed', error);
+    throw error;
+  }
+};
+
+/**
+ * @param {string|null} trashId one entry, or null to empty the whole trash
+ * @returns {Promise<void>} deletes permanently
+ */
+export const purgeTrash = async (trashId = null) => {
+  try {
+    await commitChanges([STORES.TRASH], async (transaction) => {
+      const trash = transaction.objectStore(STORES.TRASH);
+      if (trashId) {
+        trash.delete(trashId);
+      } else {
+        trash.clear();
+      }
+    });
+  } catch (error) {
+    console.error('purgeTrash failed', error);
+    throw error;
+  }
+};
+
+/**
+ * Drops trash entries older than the purge window from settings.
+ * @param {string|null} profileId profile whose trash to purge, the active one when null
+ * @returns {Promise<number>} count of purged entries
+ */
+export const purgeExpiredTrash = async (profileId = null) => {
+  try {
+    const { trashRetentionDays } = await getSettings();
+    const cutoff = new Date(Date.now() - trashRetentionDays * DAY_MS).toISOString();
+    await initStorage();
+    const target = profileId || await resolveProfileId();
+    const expired = await getRecordsInRange(STORES.TRASH, 'deletedAt', { upper: cutoff }, target);
+    if (!expired.length) return 0;
+    await commitChanges([STORES.TRASH], async (transaction) => {
+      const trash = transaction.objectStore(STORES.TRASH);
+      expired.forEach((entry) => trash.delete(entry.trashId));
+    }, target);
+    return expired.length;
+  } catch (error) {
+    console.error('purgeExpiredTrash failed', error);
+    return 0;
+  }
+};
+
+/**
+ * Drops abandoned samples older than the sampled store's retention window.
+ * @param {string|null} profileId profile to purge, the active one when null
+ * @returns {Promise<number>} count of purged samples
+ */
+export const purgeExpiredSamples = async (profileId = null) => {
+  try {
+    const cutoff = new Date(Date.now() - SAMPLED_RETENTION_DAYS * DAY_MS).toISOString();
+    await initStorage();
+    const target = profileId || await resolveProfileId();
+    const expired = await getRecordsInRange(STORES.SAMPLED, 'watchedAt', { upper: cutoff }, target);
+    if (!expired.length) return 0;
+    await commitChanges([STORES.SAMPLED], async (transaction) => {
+      const sampled = transaction.objectStore(STORES.SAMPLED);
+      expired.forEach((entry) => sampled.delete(entry.sessionId));
+    }, target);
+    return expired.length;
+  } catch (error) {
+    console.error('purgeExpiredSamples failed', error);
+    return 0;
   }
 };
 
@@ -149,42 +1273,223 @@ export const deleteVideo = async (videoId) => {
  */
 export const clearAll = async () => {
   try {
-    await chrome.storage.local.remove([STORAGE_KEYS.VIDEOS, STORAGE_KEYS.REPORT]);
+    await commitVideoChanges(async (store) => {
+      store.clear();
+    });
+    await chrome.storage.local.remove(reportKey(await resolveProfileId()));
   } catch (error) {
     console.error('clearAll failed', error);
+    throw error;
   }
 };
 
+/**
+ * PATTERN: Transactional retention — the plan is computed from the records
+ * read inside the write transaction, so a watch saved meanwhile is never lost.
+ * @param {object} settings
+ * @param {number} now epoch ms
+ * @param {string|null} profileId profile to trim, the active one when null
+ * @returns {Promise<{trimmed: number, removed: number, archived: number}>} what changed
+ */
+export const runRetention = async (settings, now = Date.now(), profileId = null) => {
+  const archive = settings.retentionMode === RETENTION_MODES.ARCHIVE;
+  try {
+    return await commitChanges([STORES.VIDEOS, STORES.ARCHIVE], async (transaction) => {
+      const videos = transaction.objectStore(STORES.VIDEOS);
+      const { kept, removed, expired } = planRetention(await requestToPromise(videos.getAll()), settings, now);
+      kept.forEach((video) => videos.put(video));
+      removed.forEach((videoId) => videos.delete(videoId));
+      if (archive && expired.length) {
+        const archiveStore = transaction.objectStore(STORES.ARCHIVE);
+        const months = [...new Set(expired.map(({ session }) => session.endedAt.slice(0, 7)))];
+        const existing = new Map();
+        for (const month of months) {
+          const stored = await requestToPromise(archiveStore.get(month));
+          if (stored) existing.set(month, stored);
+        }
+        buildMonthlyAggregates(expired, existing).forEach((aggregate) => archiveStore.put(aggregate));
+      }
+      return { trimmed: kept.length, removed: removed.length, archived: archive ? expired.length : 0 };
+    }, profileId);
+  } catch (error) {
+    console.error('runRetention failed', error);
+    throw error;
+  }
+};
+
+/**
+ * Bytes per data kind plus a projection of when the quota fills at the
+ * current watch rate. Reads every store, so only the dashboard calls it.
+ * @param {number} now epoch ms
+ * @returns {Promise<object>} {kinds, usage, quota, level, ratio, bytesPerDay, daysUntilFull, fullAt}
+ */
+export const getStorageReport = async (now = Date.now()) => {
+  try {
+    await initStorage();
+    const profileId = await resolveProfileId();
+    const [videos, archive, trash, sampled, report, estimate] = await Promise.all([
+      getAllRecords(STORES.VIDEOS, profileId),
+      getAllRecords(STORES.ARCHIVE, profileId),
+      getAllRecords(STORES.TRASH, profileId),
+      getAllRecords(STORES.SAMPLED, profileId),
+      getCachedReport(),
+      estimateQuota()
+    ]);
+    const kinds = measureUsageByKind(videos, { reports: [report], archive, trash, sampled });
+    const sessions = countSessions(videos);
+    const bytesPerSession = sessions ? (kinds.videos + kinds.sessions + kinds.thumbnails) / sessions : 0;
+    return {
+      kinds,
+      ...estimate,
+      ...projectQuota({ ...estimate, bytesPerSession, sessionsPerDay: recentSessionsPerDay(videos, now) }, now)
+    };
+  } catch (error) {
+    console.error('getStorageReport failed', error);
+    throw error;
+  }
+};
+
+/**
+ * Lightweight check for the popup: only reads videos watched in the last 30 days.
+ * @param {number} now epoch ms
+ * @returns {Promise<object>} {level, ratio, daysUntilFull, fullAt, usage, quota}
+ */
+export const getQuotaStatus = async (now = Date.now()) => {
+  const estimate = await estimateQuota();
+  const recent = await getVideosInRange({ start: new Date(now - RATE_WINDOW_DAYS * DAY_MS).toISOString() });
+  const { videos, sessions, thumbnails } = measureUsageByKind(recent);
+  const sessionCount = countSessions(recent);
+  const bytesPerSession = sessionCount ? (videos + sessions + thumbnails) / sessionCount : 0;
+  return {
+    ...estimate,
+    ...projectQuota({ ...estimate, bytesPerSession, sessionsPerDay: recentSessionsPerDay(recent, now) }, now)
+  };
+};
+
+/**
+ * One-click compaction: drops derivable fields (the standard thumbnail URL),
+ * rolls sessions older than `trimSessionsDays` into one entry per video, and
+ * archives whole entries older than `archiveDays` into monthly summaries.
+ * @param {{dropThumbnails?: boolean, trimSessionsDays?: number|null, archiveDays?: number|null}} options
+ * @returns {Promise<{compacted: number, archived: number, bytesSaved: number}>} what changed
+ */
+export const compactStorage = async ({ dropThumbnails = true, trimSessionsDays = null, archiveDays = null } = {}) => {
+  try {
+    const before = await getStorageReport();
+    const trimBefore = trimSessionsDays ? new Date(Date.now() - trimSessionsDays * DAY_MS).toISOString() : null;
+    const compacted = await commitVideoChanges(async (store) => {
+      const videos = await requestToPromise(store.getAll());
+      let count = 0;
+      videos.forEach((video) => {
+        const next = compactVideo(video, { dropThumbnail: dropThumbnails, trimBefore });
+        if (next) {
+          store.put(next);
+          count += 1;
+        }
+      });
+      return count;
+    });
+    let archived = 0;
+    if (archiveDays) {
+      const settings = await getSettings();
+      // WHY: reuse the retention planner so "keep forever" overrides are still honored.
+      ({ archived } = await runRetention({
+        ...settings,
+        dataRetention: 'custom',
+        retentionDays: archiveDays,
+        retentionMode: RETENTION_MODES.ARCHIVE
+      }));
+    }
+    const after = await getStorageReport();
+    const total = (kinds) => Object.values(kinds).reduce((sum, bytes) => sum + bytes, 0);
+    return { compacted, archived, bytesSaved: Math.max(0, total(before.kinds) - total(after.kinds)) };
+  } catch (error) {
+    console.error('compactStorage failed', error);
+    throw error;
+  }
+};
+
+/**
+ * @returns {Promise<object[]>} monthly aggregates from archive mode, oldest first
+ */
+export const getArchive = async () => {
+  try {
+    return await readStore(STORES.ARCHIVE);
+  } catch (error) {
+    console.error('getArchive failed', error);
+    return [];
+  }
+};
+
+const summarizeArchive = (months) => ({
+  months: months.length,
+  sessions: months.reduce((sum, month) => sum + month.sessions, 0),
+  watchSeconds: months.reduce((sum, month) => sum + month.watchSeconds, 0)
+});
+
 /**
  * @returns {Promise<object>} aggregate stats for dashboard cards
  */
 export const getStats = async () => {
   try {
-    const videos = await getVideos();
+    const [stored, archived] = await Promise.all([getVideos(), getArchive().then(summarizeArchive)]);
+    // WHY: Shorts and music get their own totals so scrolling and background
+    // listening do not inflate the intentional-watch stats.
+    const shorts = calculateContentStats(stored, CONTENT_TYPES.SHORT);
+    const music = calculateContentStats(stored, CONTENT_TYPES.MUSIC);
+    const videos = stored.filter((video) => getContentType(video) === CONTENT_TYPES.VIDEO);
     if (!videos.length) {
       return {
         totalVideos: 0,
+        totalSessions: 0,
         totalWatchSeconds: 0,
+        playback: calculatePlaybackTimes([]),
+        live: calculateLiveStats([]),
         avgWatchPercent: 0,
-        mostRewatched: null
+        mostRewatched: null,
+        shorts,
+        music,
+        archived
       };
     }
-    const totalWatchSeconds = videos.reduce((sum, video) => sum + (video.watchedDuration || 0), 0);
-    const avgWatchPercent = videos.reduce((sum, video) => sum + (video.watchPercent || 0), 0) / videos.length;
+    const sessions = expandSessions(videos);
+    // WHY: live time is reported on its own; a rolled-up session can mix live and replay seconds.
+    const totalWatchSeconds = sessions.reduce((sum, session) => sum
+      + Math.max(0, (session.watchedDuration || 0) - (session.session.liveSeconds || 0)), 0);
+    // WHY: imported (unverified) entries have no real completion data.
+    const verified = videos.filter((video) => !video.unverified);
+    // WHY: a stream watched only live has no length, so it has no completion either.
+    const measurable = verified.filter((video) => video.totalDuration);
+    const avgWatchPercent = measurable.length
+      ? measurable.reduce((sum, video) => sum + (video.watchPercent || 0), 0) / measurable.length
+      : 0;
     const mostRewatched = [...videos].sort((a, b) => (b.rewatchCount || 0) - (a.rewatchCount || 0))[0];
     return {
       totalVideos: videos.length,
+      totalSessions: sessions.length,
+      unverifiedVideos: videos.length - verified.length,
       totalWatchSeconds,
+      playback: calculatePlaybackTimes(videos),
+      live: calculateLiveStats(videos),
       avgWatchPercent,
-      mostRewatched
+      mostRewatched,
+      shorts,
+      music,
+      archived
     };
   } catch (error) {
     console.error('getStats failed', error);
     return {
       totalVideos: 0,
+      totalSessions: 0,
       totalWatchSeconds: 0,
+      playback: calculatePlaybackTimes([]),
+      live: calculateLiveStats([]),
       avgWatchPercent: 0,
-      mostRewatched: null
+      mostRewatched: null,
+      shorts: calculateContentStats([], CONTENT_TYPES.SHORT),
+      music: calculateContentStats([], CONTENT_TYPES.MUSIC),
+      archived: summarizeArchive([])
     };
   }
 };
@@ -194,8 +1499,9 @@ export const getStats = async () => {
  */
 export const getCachedReport = async () => {
   try {
-    const result = await chrome.storage.local.get({ [STORAGE_KEYS.REPORT]: null });
-    return result[STORAGE_KEYS.REPORT];
+    const key = reportKey(await resolveProfileId());
+    const result = await chrome.storage.local.get({ [key]: null });
+    return result[key];
   } catch (error) {
     console.error('getCachedReport failed', error);
     return null;
@@ -208,9 +1514,10 @@ export const getCachedReport = async () => {
  */
 export const saveReport = async (report) => {
   try {
-    await chrome.storage.local.set({ [STORAGE_KEYS.REPORT]: report });
+    await chrome.storage.local.set({ [reportKey(await resolveProfileId())]: report });
   } catch (error) {
     console.error('saveReport failed', error);
+    throw error;
   }
 };
 
@@ -220,45 +1527,332 @@ export const saveReport = async (report) => {
  */
 export const replaceHistory = async (videos) => {
   try {
-    await setVideos(videos);
+    await commitVideoChanges(async (store) => {
+      store.clear();
+      videos.forEach((video) => store.put(video));
+    });
   } catch (error) {
     console.error('replaceHistory failed', error);
+    throw error;
   }
 };
 
+const appendMigrationLog = async (entries, context) => {
+  if (!entries.length) return;
+  const at = new Date().toISOString();
+  const result = await chrome.storage.local.get({ [STORAGE_KEYS.MIGRATION_LOG]: [] });
+  const log = [
+    ...(result[STORAGE_KEYS.MIGRATION_LOG] || []),
+    ...entries.map((entry) => ({ ...entry, context, at }))
+  ].slice(-MIGRATION_LOG_LIMIT);
+  await chrome.storage.local.set({ [STORAGE_KEYS.MIGRATION_LOG]: log });
+};
+
+const writeSchemaState = async (profileId, { videos, settings, reportCache }, version) => {
+  await putRecords(STORES.VIDEOS, videos, { replace: true, profileId });
+  const extras = { [schemaKey(profileId)]: version };
+  if (settings) extras[STORAGE_KEYS.SETTINGS] = settings;
+  if (reportCache) extras[STORAGE_KEYS.REPORT] = reportCache;
+  await chrome.storage.local.set(extras);
+};
+
 /**
- * @returns {Promise<object[]>} shallow copy for export flows
+ * PATTERN: Snapshot + rollback — migrations run in memory against a snapshot;
+ * only the last successful version is written, and if writing fails the
+ * snapshot is restored so stored data never ends up half-migrated.
+ * @param {'install'|'update'|'manual'} context recorded on each log entry
+ * @returns {Promise<{version: number, entries: object[]}>} schema version now on disk
  */
-export const exportHistory = async () => {
-  const videos = await getVideos();
-  return [...videos];
+export const runSchemaMigrations = async (context = 'install') => {
+  await initStorage();
+  return withWriteLock(() => migrateAllProfiles(context));
+};
+
+// WHY: every profile's database is upgraded, not just the default one; the
+// reported version is the lowest any profile reached.
+const migrateAllProfiles = async (context) => {
+  const { profiles } = await readProfileState();
+  const results = [];
+  for (const profile of profiles) {
+    results.push(await migrateStoredSchema(profile.id, context));
+  }
+  if (results.some((result) => result.entries.length)) {
+    await notifyHistoryChanged();
+  }
+  return {
+    version: Math.min(...results.map((result) => result.version)),
+    entries: results.flatMap((result) => result.entries)
+  };
+};
+
+const migrateStoredSchema = async (profileId, context) => {
+  const isDefault = profileId === DEFAULT_PROFILE_ID;
+  const stored = await chrome.storage.local.get({
+    [schemaKey(profileId)]: null,
+    [STORAGE_KEYS.SETTINGS]: null,
+    [STORAGE_KEYS.REPORT]: null
+  });
+  // WHY: profile databases were not versioned at first; every migration only
+  // backfills or recomputes, so replaying them from the start is safe.
+  const fromVersion = stored[schemaKey(profileId)] ?? BASE_SCHEMA_VERSION;
+  if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+    return { version: fromVersion, entries: [] };
+  }
+  // WHY: settings and the report cache are shared, so only the default profile's pass migrates them.
+  const snapshot = {
+    videos: await getAllRecords(STORES.VIDEOS, profileId),
+    settings: isDefault ? stored[STORAGE_KEYS.SETTINGS] : null,
+    reportCache: isDefault ? stored[STORAGE_KEYS.REPORT] : null
+  };
+  const outcome = migrateState(snapshot, fromVersion);
+  const entries = outcome.entries.map((entry) => ({ ...entry, profileId }));
+  if (outcome.version > fromVersion) {
+    try {
+      await writeSchemaState(profileId, outcome.state, outcome.version);
+    } catch (error) {
+      console.error('runSchemaMigrations write failed; restoring snapshot', error);
+      await writeSchemaState(profileId, snapshot, fromVersion);
+      await appendMigrationLog(entries.map((entry) => ({
+        ...entry,
+        status: 'rolled-back',
+        error: entry.error || error.message
+      })), context);
+      throw error;
+    }
+  }
+  await appendMigrationLog(entries, context);
+  if (outcome.failed) {
+    console.error('schema migration failed; stopped at version', outcome.version, profileId);
+  }
+  return { version: outcome.version, entries };
+};
+
+/**
+ * @param {{videos?: object[], start?: string, end?: string}} scope already-picked
+ * videos (e.g. the dashboard's filtered view), or a watchedAt range; everything by default
+ * @returns {Promise<object>} versioned export envelope for backups
+ */
+export const exportHistory = async ({ videos: picked, start, end } = {}) => {
+  let videos = picked;
+  if (!videos) {
+    videos = start || end ? await getVideosInRange({ start, end }) : await getVideos();
+  }
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    videos: [...videos]
+  };
+};
+
+/**
+ * Full-state backup: the history envelope plus, on request, settings (API key
+ * included) and the cached weekly report, so one file restores everything.
+ * Only ever hand this to encryptBackup; plain exports never carry settings.
+ * @param {object} scope same as exportHistory
+ * @param {{includeSettings?: boolean, includeReport?: boolean}} options
+ * @returns {Promise<object>} export envelope with optional settings/reportCache
+ */
+export const exportBackup = async (scope = {}, { includeSettings = false, includeReport = false } = {}) => {
+  const envelope = await exportHistory(scope);
+  if (includeSettings) {
+    envelope.settings = await getSettings();
+  }
+  if (includeReport) {
+    envelope.reportCache = await getCachedReport();
+  }
+  return envelope;
+};
+
+/**
+ * @param {{settings?: object, reportCache?: object}} backup decrypted backup payload
+ * @returns {Promise<string[]>} which extras were restored
+ */
+export const restoreBackupExtras = async ({ settings, reportCache } = {}) => {
+  const restored = [];
+  if (settings && typeof settings === 'object') {
+    await saveSettings(settings);
+    restored.push('settings');
+  }
+  if (reportCache && typeof reportCache === 'object') {
+    await saveReport(reportCache);
+    restored.push('weekly report');
+  }
+  return restored;
+};
+
+/**
+ * Accepts either the versioned envelope from exportHistory or the bare array
+ * written by older versions.
+ * @param {object|object[]} importedData
+ * @returns {{entries: object[], fromVersion: number}} raw entries + their schema version
+ */
+const unwrapImportedData = (importedData) => {
+  const isEnvelope = importedData && !Array.isArray(importedData) && Array.isArray(importedData.videos);
+  if (!isEnvelope && !Array.isArray(importedData)) {
+    throw new Error('Imported data must be an array or a YT True History export');
+  }
+  const fromVersion = isEnvelope ? Number(importedData.schemaVersion) || BASE_SCHEMA_VERSION : BASE_SCHEMA_VERSION;
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Export uses schema v${fromVersion}; update the extension to import it`);
+  }
+  return { entries: isEnvelope ? importedData.videos : importedData, fromVersion };
 };
 
 /**
- * @param {object[]} importedVideos
- * @returns {Promise<void>} merges imported videos with existing history
+ * Validates each entry, upgrades the valid ones through the schema
+ * migrations, and folds duplicate videoIds inside the file together.
+ * @param {object|object[]} importedData
+ * @param {{log?: boolean}} options log=false for dry runs
+ * @returns {Promise<{incoming: Map<string, object>, rejected: object[], rowFields: Map<string, Set<string>>}>}
+ *   import candidates, plus the fields each video's rows actually carried
  */
-export const importHistory = async (importedVideos = []) => {
+const prepareImport = async (importedData, { log = true } = {}) => {
+  const { entries, fromVersion } = unwrapImportedData(importedData);
+  const { valid, rejected } = validateImportEntries(entries);
+  const outcome = migrateState({ videos: valid }, fromVersion);
+  if (log) {
+    await appendMigrationLog(outcome.entries, 'import');
+  }
+  if (outcome.failed) {
+    const failure = outcome.entries[outcome.entries.length - 1];
+    throw new Error(`Import migration to v${failure.version} failed: ${failure.error}`);
+  }
+  // WHY: migrations backfill defaults (and a session) onto partial rows, so the
+  // fields the file really carried are noted first; only those may overwrite.
+  const rowFields = new Map();
+  valid.forEach((entry) => {
+    const fields = rowFields.get(entry.videoId) || new Set();
+    Object.keys(entry)
+      .filter((field) => field !== 'sessions' || entry.sessions?.length)
+      .forEach((field) => fields.add(field));
+    rowFields.set(entry.videoId, fields);
+  });
+  const incoming = new Map();
+  outcome.state.videos.forEach((video) => {
+    const prior = incoming.get(video.videoId);
+    incoming.set(video.videoId, prior
+      ? mergeVideoRecords(prior, video)
+      : summarizeSessions(video, getVideoSessions(video)));
+  });
+  return { incoming, rejected, rowFields };
+};
+
+const emptyImportCounts = () => Object.values(IMPORT_OUTCOMES).reduce((counts, outcome) => ({ ...counts, [outcome]: 0 }), {});
+
+/**
+ * Dry run: nothing is written. Lists what an import would add, update, or
+ * conflict with, plus every rejected row and why.
+ * @param {object|object[]} importedData
+ * @returns {Promise<{counts: object, entries: object[], rejected: object[]}>} import preview
+ */
+export const previewImport = async (importedData) => {
+  const { incoming, rejected, rowFields } = await prepareImport(importedData, { log: false });
+  const current = await getVideos();
+  const existingById = new Map(current.map((video) => [video.videoId, video]));
+  const counts = emptyImportCounts();
+  const entries = Array.from(incoming.values()).map((video) => {
+    const existing = existingById.get(video.videoId);
+    const diff = diffImportEntry(existing, video, { hasSessions: rowFields.get(video.videoId).has('sessions') });
+    counts[diff.outcome] += 1;
+    return {
+      videoId: video.videoId,
+      title: video.title,
+      ...diff,
+      mine: existing ? { watchedAt: existing.watchedAt, rewatchCount: existing.rewatchCount } : null,
+      theirs: { watchedAt: video.watchedAt, rewatchCount: video.rewatchCount }
+    };
+  });
+  return { counts, entries, rejected };
+};
+
+// WHY: the same sessionId with a different endedAt came from another device, so keep both.
+const sumRewatchSessions = (existing, incoming) => {
+  const mine = getVideoSessions(existing);
+  const knownKeys = new Set(mine.map(sessionKey));
+  const knownIds = new Set(mine.map((session) => session.sessionId));
+  const extra = getVideoSessions(incoming)
+    .filter((session) => !knownKeys.has(sessionKey(session)))
+    .map((session) => (knownIds.has(session.sessionId)
+      ? { ...session, sessionId: `${session.sessionId}-imported-${Date.parse(session.endedAt)}` }
+      : session));
+  return [...mine, ...extra];
+};
+
+/**
+ * Partial rows (e.g. a CSV with a column subset) must not wipe fields they
+ * omit, and a row without a session log must not replace the stored one.
+ * @param {object} existing
+ * @param {object} incoming
+ * @param {Set<string>} fields fields the imported rows carried
+ * @param {object[]} sessions session log to store
+ * @returns {object} stored record with the carried fields applied
+ */
+const applyImportedRecord = (existing, incoming, fields, sessions) => {
+  const carried = Object.entries(stripSessionFields(incoming)).filter(([field]) => fields.has(field));
+  return summarizeSessions({ ...existing, ...Object.fromEntries(carried) }, sessions);
+};
+
+/**
+ * @param {object} existing
+ * @param {object} incoming
+ * @param {string} strategy one of IMPORT_STRATEGIES
+ * @param {Set<string>} fields fields the imported rows carried
+ * @returns {object|null} record to store, or null to keep the stored one
+ */
+const resolveImportConflict = (existing, incoming, strategy, fields) => {
+  const hasSessions = fields.has('sessions');
+  const theirs = hasSessions ? getVideoSessions(incoming) : getVideoSessions(existing);
+  switch (strategy) {
+    case IMPORT_STRATEGIES.KEEP_MINE:
+      return null;
+    case IMPORT_STRATEGIES.TAKE_THEIRS:
+      return applyImportedRecord(existing, incoming, fields, theirs);
+    case IMPORT_STRATEGIES.SUM_REWATCHES:
+      return applyImportedRecord(existing, incoming, fields, hasSessions ? sumRewatchSessions(existing, incoming) : theirs);
+    case IMPORT_STRATEGIES.NEWEST:
+      // WHY: a tie means nothing was watched since the export, so the file's field edits are the newer change.
+      return new Date(incoming.watchedAt) >= new Date(existing.watchedAt)
+        ? applyImportedRecord(existing, incoming, fields, theirs)
+        : null;
+    default:
+      throw new Error(`Unknown import strategy: ${strategy}`);
+  }
+};
+
+/**
+ * Re-diffs inside the write transaction, so anything that changed since the
+ * preview is still classified correctly. New rows are added, fast-forward rows
+ * merged, and conflicts resolved with `strategy`.
+ * @param {object|object[]} importedData export envelope or legacy array
+ * @param {{strategy?: string}} options
+ * @returns {Promise<object>} counts per outcome plus rejected and written totals
+ */
+export const importHistory = async (importedData = [], { strategy = IMPORT_STRATEGIES.NEWEST } = {}) => {
   try {
-    if (!Array.isArray(importedVideos)) {
-      throw new Error('Imported data must be an array');
-    }
-    const current = await getVideos();
-    const mergedMap = new Map(current.map((video) => [video.videoId, video]));
-    importedVideos.forEach((video) => {
-      if (!video?.videoId) return;
-      const existing = mergedMap.get(video.videoId);
-      if (existing) {
-        mergedMap.set(video.videoId, {
-          ...existing,
-          ...video,
-          rewatchCount: Math.max(existing.rewatchCount || 1, video.rewatchCount || 1)
-        });
-      } else {
-        mergedMap.set(video.videoId, video);
+    const { incoming, rejected, rowFields } = await prepareImport(importedData);
+    const counts = emptyImportCounts();
+    let written = 0;
+    await commitVideoChanges(async (store) => {
+      for (const video of incoming.values()) {
+        const existing = await requestToPromise(store.get(video.videoId));
+        const fields = rowFields.get(video.videoId);
+        const hasSessions = fields.has('sessions');
+        const { outcome } = diffImportEntry(existing, video, { hasSessions });
+        counts[outcome] += 1;
+        let next = null;
+        if (outcome === IMPORT_OUTCOMES.NEW) next = video;
+        if (outcome === IMPORT_OUTCOMES.UPDATED) {
+          next = applyImportedRecord(existing, video, fields, hasSessions ? unionSessions(existing, video) : getVideoSessions(existing));
+        }
+        if (outcome === IMPORT_OUTCOMES.CONFLICT) next = resolveImportConflict(existing, video, strategy, fields);
+        // WHY: only rewrite imported rows; untouched history never re-serializes.
+        if (next) {
+          store.put(next);
+          written += 1;
+        }
       }
     });
-    await setVideos(Array.from(mergedMap.values()));
+    return { ...counts, rejected: rejected.length, written };
   } catch (error) {
     console.error('importHistory failed', error);
     throw error;
@@ -269,7 +1863,8 @@ export const importHistory = async (importedVideos = []) => {
  * @returns {Promise<number>} count of videos watched today for popup stats
  */
 export const getTodayCount = async () => {
-  const videos = await getVideos();
   const todayKey = new Date().toISOString().slice(0, 10);
-  return videos.filter((video) => (video.watchedAt || '').startsWith(todayKey)).length;
+  // WHY: watchedAt is the latest session, so any session today lands in this range.
+  const videos = await getVideosInRange({ start: todayKey });
+  return videos.length;
 };
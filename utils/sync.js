@@ -0,0 +1,154 @@
+/**
+ * sync.js
+ * Pure helpers for cross-device sync through chrome.storage.sync: decides
+ * which settings may leave the device, merges them field by field using
+ * last-modified timestamps, and packs a compact history digest into items
+ * that stay inside the sync quota. storage.js does the actual reads/writes.
+ */
+
+import { getVideoSessions } from './helpers.js';
+
+export const SYNC_KEYS = {
+  SETTINGS: 'settings',
+  DIGEST_PREFIX: 'digest:'
+};
+
+// WHY: the sync switches describe what this device shares, and pausing
+// tracking from the popup is meant for the machine in front of you.
+export const LOCAL_ONLY_SETTINGS = ['syncEnabled', 'syncApiKey', 'syncHistoryDigest', 'trackingEnabled'];
+export const SECRET_SETTINGS = ['openRouterApiKey'];
+
+// WHY: chrome.storage.sync caps items at 8 KB and the whole area at 100 KB;
+// stay well under both so settings and several devices' digests fit together.
+export const DIGEST_LIMITS = {
+  ITEM_BYTES: 7000,
+  ITEMS_PER_DEVICE: 3
+};
+
+const encoder = new TextEncoder();
+const byteLength = (value) => encoder.encode(JSON.stringify(value)).length;
+
+/**
+ * @param {string} field
+ * @param {object} settings local settings (decide whether the key may sync)
+ * @returns {boolean} true when the field may be written to or read from sync
+ */
+export const isSyncableSetting = (field, settings) => !LOCAL_ONLY_SETTINGS.includes(field)
+  && (settings.syncApiKey || !SECRET_SETTINGS.includes(field));
+
+/**
+ * @param {object} settings
+ * @param {Record<string, number>} modified per-field last-modified epoch ms
+ * @param {string} deviceId
+ * @param {{values?: object, modified?: object}|undefined} remote current sync item; fields this
+ *   device does not share are carried over so another device's choices survive the write
+ * @returns {{values: object, modified: object, deviceId: string}} sync item payload
+ */
+export const buildSyncedSettings = (settings, modified, deviceId, remote) => {
+  const fields = Object.keys(settings).filter((field) => isSyncableSetting(field, settings));
+  // WHY: a device that does not allow key sync also takes the key out of sync storage.
+  const carried = Object.keys(remote?.values || {})
+    .filter((field) => !fields.includes(field) && !SECRET_SETTINGS.includes(field));
+  return {
+    values: Object.fromEntries([
+      ...carried.map((field) => [field, remote.values[field]]),
+      ...fields.map((field) => [field, settings[field]])
+    ]),
+    modified: Object.fromEntries([
+      ...carried.map((field) => [field, remote.modified?.[field] || 0]),
+      ...fields.map((field) => [field, modified[field] || 0])
+    ]),
+    deviceId
+  };
+};
+
+/**
+ * PATTERN: Last writer wins per field — a newer threshold on one device and a
+ * newer retention window on another both survive the merge.
+ * @param {object} local settings on this device
+ * @param {Record<string, number>} localModified
+ * @param {{values?: object, modified?: object}|undefined} remote sync item
+ * @returns {{settings: object, modified: object, pulled: string[], pushNeeded: boolean}} merge result
+ */
+export const mergeSyncedSettings = (local, localModified, remote) => {
+  const settings = { ...local };
+  const modified = { ...localModified };
+  const pulled = [];
+  const remoteValues = remote?.values || {};
+  const remoteModified = remote?.modified || {};
+  Object.keys(remoteValues).forEach((field) => {
+    if (!isSyncableSetting(field, local)) return;
+    if ((remoteModified[field] || 0) > (localModified[field] || 0)) {
+      settings[field] = remoteValues[field];
+      modified[field] = remoteModified[field];
+      pulled.push(field);
+    }
+  });
+  const pushNeeded = Object.keys(settings)
+    .filter((field) => isSyncableSetting(field, local))
+    .some((field) => (modified[field] || 0) > (remoteModified[field] || 0) || !(field in remoteValues));
+  return { settings, modified, pulled, pushNeeded };
+};
+
+// WHY: sessions merged in from another device's digest are not re-published,
+// otherwise two devices would keep echoing each other's watches back.
+const lastLocalWatch = (video) => getVideoSessions(video)
+  .filter((session) => !session.syncedFrom)
+  .reduce((latest, session) => (!latest || session.endedAt > latest ? session.endedAt : latest), null);
+
+/**
+ * Most recent videos first, as `[videoId, watchedAt epoch seconds, category]`
+ * tuples, split into items under the per-item byte cap. Older videos that do
+ * not fit are left out.
+ * @param {object[]} videos
+ * @returns {Array<Array<[string, number, string]>>} digest items
+ */
+export const buildDigestChunks = (videos) => {
+  const entries = videos
+    .map((video) => ({ video, watchedAt: lastLocalWatch(video) }))
+    .filter((entry) => entry.watchedAt)
+    .sort((a, b) => b.watchedAt.localeCompare(a.watchedAt))
+    .map(({ video, watchedAt }) => [video.videoId, Math.floor(Date.parse(watchedAt) / 1000), video.aiCategory || '']);
+  const chunks = [];
+  let chunk = [];
+  for (const entry of entries) {
+    if (byteLength([...chunk, entry]) > DIGEST_LIMITS.ITEM_BYTES) {
+      chunks.push(chunk);
+      chunk = [];
+      if (chunks.length === DIGEST_LIMITS.ITEMS_PER_DEVICE) break;
+    }
+    chunk.push(entry);
+  }
+  if (chunk.length && chunks.length < DIGEST_LIMITS.ITEMS_PER_DEVICE) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+/**
+ * @param {string} deviceId
+ * @param {number} index
+ * @returns {string} sync key for one digest item
+ */
+export const digestKey = (deviceId, index) => `${SYNC_KEYS.DIGEST_PREFIX}${deviceId}:${index}`;
+
+/**
+ * @param {object} items everything in chrome.storage.sync
+ * @param {string} ownDeviceId digests written by this device are skipped
+ * @returns {{sessionId: string, deviceId: string, videoId: string, watchedAt: string, aiCategory: string}[]} other devices' entries
+ */
+export const readRemoteDigests = (items, ownDeviceId) => Object.entries(items)
+  .filter(([key]) => key.startsWith(SYNC_KEYS.DIGEST_PREFIX))
+  .flatMap(([key, chunk]) => {
+    const deviceId = key.slice(SYNC_KEYS.DIGEST_PREFIX.length).split(':')[0];
+    if (deviceId === ownDeviceId || !Array.isArray(chunk)) return [];
+    return chunk
+      .filter((entry) => Array.isArray(entry) && typeof entry[0] === 'string' && Number.isFinite(entry[1]))
+      .map(([videoId, seconds, aiCategory]) => ({
+        sessionId: `sync-${deviceId}-${videoId}-${seconds}`,
+        deviceId,
+        videoId,
+        watchedAt: new Date(seconds * 1000).toISOString(),
+        aiCategory: aiCategory || ''
+      }));
+  });